@@ -0,0 +1,256 @@
+/**
+ * Analysis Module - Dashboard Refresh
+ * Describes the series the current view needs, asks the survey worker to summarize them,
+ * and puts the results in the store for the KPI, table and chart modules to render.
+ */
+
+// Channel for dashboard refreshes, so quick filter changes only render the newest results
+const ANALYSIS_CHANNEL = 'dashboard';
+
+// Modes that compare picked items with each other: the select holding the picks,
+// what the picks are called and the title above their KPI cards
+const COMPARISON_MODES = {
+    roles: { selectId: 'roles-comparison-select', itemsName: 'roles', title: 'Role Comparison' },
+    location: { selectId: 'locations-comparison-select', itemsName: 'locations', title: 'Location Comparison' },
+    cells: { selectId: 'cells-comparison-select', itemsName: 'role and location pairs', title: 'Role × Location Comparison' },
+    segments: { selectId: 'segments-comparison-select', itemsName: 'segments', title: 'Segment Comparison' }
+};
+
+/**
+ * Check whether a mode compares picked items with each other rather than with the company
+ * @param {string} mode - Comparison mode
+ * @returns {boolean} True for 'roles', 'location', 'cells' and 'segments'
+ */
+function isComparisonMode(mode) {
+    return Object.prototype.hasOwnProperty.call(COMPARISON_MODES, mode);
+}
+
+/**
+ * Describe a comparison mode
+ * @param {string} mode - 'roles', 'location', 'cells' or 'segments'
+ * @returns {Object|null} { selectId, itemsName, title }, or null for baseline mode
+ */
+function getComparisonModeInfo(mode) {
+    return isComparisonMode(mode) ? COMPARISON_MODES[mode] : null;
+}
+
+/**
+ * Check whether any baseline filters are applied
+ * @param {Object} filters - Filters in CSV format
+ * @returns {boolean} True when roles, locations or answers are filtered
+ */
+function hasActiveFilters(filters) {
+    return !!filters && (
+        (window.UtilsModule.usesFilterSelection(filters.roleMode) && filters.selectedRoles.length > 0) ||
+        (window.UtilsModule.usesFilterSelection(filters.locationMode) && filters.selectedLocations.length > 0) ||
+        !!filters.selectedAnswers
+    );
+}
+
+/**
+ * Get selected items for comparison modes. Roles are roles or families, and locations are shops,
+ * states or regions, depending on the level picked in the drawer; cells are role and location pairs
+ * and segments are the custom segments defined in the drawer.
+ * @param {string} mode - 'roles', 'location', 'cells' or 'segments'
+ * @returns {Array} Array of selected items { value, displayName, spec } where spec is the filter spec
+ *                  for the respondents the item covers
+ */
+function getSelectedComparisonItems(mode) {
+    if (!window.CSVLoaderModule || !window.CSVLoaderModule.isCSVDataLoaded() || !isComparisonMode(mode)) {
+        return [];
+    }
+
+    const select = document.getElementById(COMPARISON_MODES[mode].selectId);
+    if (!select || !select.value || select.value.length === 0) {
+        return [];
+    }
+
+    const options = window.DataModule.getComparisonOptions(mode);
+
+    return select.value
+        .map(value => options.find(item => item.value === value))
+        .filter(Boolean)
+        .map(option => ({
+            value: option.value,
+            displayName: option.text,
+            spec: getComparisonOptionSpec(mode, option)
+        }));
+}
+
+/**
+ * Get the filter spec for a comparison option
+ * @param {string} mode - 'roles', 'location', 'cells' or 'segments'
+ * @param {Object} option - Option from DataModule.getComparisonOptions()
+ * @returns {Object} Filter spec
+ */
+function getComparisonOptionSpec(mode, option) {
+    // A segment already combines its roles, locations and answers
+    if (mode === 'segments') {
+        return option.spec;
+    }
+
+    if (mode === 'cells') {
+        return { roles: [option.roleCsvValue], locations: [option.locationCsvValue] };
+    }
+
+    // A family, state or region covers all of its roles or shops
+    return mode === 'roles' ? { roles: option.csvValues } : { locations: option.csvValues };
+}
+
+/**
+ * Build the series shown for a comparison mode
+ * @param {string} mode - 'baseline', 'roles', 'location', 'cells' or 'segments'
+ * @returns {Array} Array of { id, label, spec } where spec is a filter spec for the survey worker
+ */
+function getAnalysisSeries(mode) {
+    // A cross-filter picked from a chart and a comment search restrict every series
+    return getUnrestrictedSeries(mode).map(item => ({
+        ...item,
+        spec: window.CommentSearchModule.applyCommentSearchToSpec(window.CrossFilterModule.applyCrossFilterToSpec(item.spec))
+    }));
+}
+
+/**
+ * Build the series whose comments a comment search lists: the filtered group, or everyone
+ * when nothing is filtered, in baseline mode and every picked item in comparison modes
+ * @returns {Array} Array of { id, label, spec }
+ */
+function getCommentSearchSeries() {
+    const series = getAnalysisSeries(window.DrawerModule.getCurrentComparisonMode());
+    if (isComparisonMode(window.DrawerModule.getCurrentComparisonMode())) {
+        return series;
+    }
+
+    return [series.find(item => item.id === 'filtered') || series.find(item => item.id === 'all')];
+}
+
+/**
+ * Build the series for a comparison mode before any cross-filter is applied
+ * @param {string} mode - 'baseline', 'roles', 'location', 'cells' or 'segments'
+ * @returns {Array} Array of { id, label, spec }
+ */
+function getUnrestrictedSeries(mode) {
+    if (isComparisonMode(mode)) {
+        return getSelectedComparisonItems(mode).map(item => ({
+            id: `${mode}:${item.value}`,
+            label: item.displayName,
+            spec: item.spec
+        }));
+    }
+
+    const series = [{ id: 'all', label: 'All Responses', spec: {} }];
+
+    const filters = window.UtilsModule.getCurrentFiltersForCsv();
+    if (hasActiveFilters(filters)) {
+        const filteredSpec = {
+            ...window.UtilsModule.getRoleLocationSpec(filters),
+            answers: filters.selectedAnswers
+                ? [{ column: filters.selectedAnswers.column, values: filters.selectedAnswers.values }]
+                : []
+        };
+        series.push({ id: 'filtered', label: 'Filtered Results', spec: filteredSpec });
+
+        // Comparing with everyone outside the filtered group keeps a large group from hiding its own gap
+        if (window.FiltersModule.getComparisonReference() === 'rest') {
+            series.push({ id: 'rest', label: 'Rest of Company', spec: { outside: filteredSpec } });
+        }
+    }
+
+    return series;
+}
+
+/**
+ * Recalculate the dashboard in the survey worker and put the results in the store.
+ * Results replaced by a newer refresh before they arrive are dropped.
+ * @param {string} mode - Comparison mode of the view on screen
+ * @returns {Promise<void>} Resolves once the results are in the store or were dropped
+ */
+async function refreshAnalysis(mode) {
+    const series = getAnalysisSeries(mode);
+    const waves = window.CSVLoaderModule.getWaves();
+
+    let results;
+    try {
+        results = await window.SurveyWorkerModule.request('aggregate', {
+            wave: window.CSVLoaderModule.getSelectedWave(),
+            series: series.map(item => ({ id: item.id, spec: item.spec })),
+            includeTrends: waves.length > 1
+        }, ANALYSIS_CHANNEL);
+    } catch (error) {
+        if (!window.SurveyWorkerModule.isStaleRequestError(error)) {
+            console.error('Error calculating survey results:', error);
+        }
+        return;
+    }
+
+    window.StoreModule.dispatch({
+        type: 'analysis/ready',
+        analysis: {
+            mode,
+            hasFilters: series.some(item => item.id === 'filtered'),
+            reference: series.some(item => item.id === 'rest') ? 'rest' : 'company',
+            wave: results.wave,
+            previousWave: results.previousWave,
+            waves: results.waves,
+            totalCount: results.totalCount,
+            minGroupSize: results.minGroupSize,
+            series: series.map(item => ({ ...item, ...results.series[item.id] }))
+        }
+    });
+}
+
+/**
+ * Recalculate the dashboard whenever the view, the dataset or the segments change
+ */
+function setupAnalysis() {
+    window.StoreModule.subscribe(['view', 'dataset', 'segments'], function (state) {
+        if (state.view && state.dataset) {
+            refreshAnalysis(state.view.mode);
+        }
+    });
+}
+
+/**
+ * Get the results of the most recent refresh
+ * @returns {Object|null} { mode, hasFilters, reference, wave, previousWave, waves, totalCount, minGroupSize, series } or null before the first refresh,
+ *                        where reference is what the filtered results are compared against: 'company' or 'rest'
+ *                        and series too small to show have suppressed set and no scores
+ */
+function getLatestAnalysis() {
+    return window.StoreModule.getState().analysis;
+}
+
+/**
+ * Get the open-ended answers behind a category bar for one series of the latest refresh
+ * @param {string} seriesId - Series id
+ * @param {string} categoryColumn - Category column of the chart
+ * @param {string} answerColumn - Column with the original answers
+ * @param {string} category - Category name
+ * @returns {Promise<Object>} Promise that resolves to { suppressed, answers } where answers are the answer texts,
+ *                            left empty when the series is too small to show
+ */
+function getSeriesResponses(seriesId, categoryColumn, answerColumn, category) {
+    const latestAnalysis = getLatestAnalysis();
+    const series = latestAnalysis && latestAnalysis.series.find(item => item.id === seriesId);
+    if (!series) return Promise.resolve({ suppressed: false, answers: [] });
+
+    return window.SurveyWorkerModule.request('responses', {
+        wave: latestAnalysis.wave,
+        spec: series.spec,
+        categoryColumn,
+        answerColumn,
+        category
+    });
+}
+
+// Export functions for use in other modules
+window.AnalysisModule = {
+    isComparisonMode,
+    getComparisonModeInfo,
+    setupAnalysis,
+    getLatestAnalysis,
+    getSelectedComparisonItems,
+    getComparisonOptionSpec,
+    getCommentSearchSeries,
+    getSeriesResponses
+};
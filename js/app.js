@@ -8,43 +8,96 @@
  */
 function initializeApp() {
 
+    // Render every view from the dashboard state. Subscribers are called in this order,
+    // so each change is calculated first, then drawn once from top to bottom.
+    window.AnalysisModule.setupAnalysis();
+    window.KPIModule.subscribeKPIDisplay();
+    window.KPIModule.subscribeFilterStatus();
+    window.subscribeGroupedAveragesTable();
+    window.charts.subscribeCharts();
+
     // Set up drawer functionality immediately
     window.DrawerModule.setupDrawerFunctionality();
 
+    // Set up local CSV loading so a dataset can be chosen even if the bundled one fails
+    window.DatasetPickerModule.setupDatasetPicker();
+
+    // Set up survey wave selection
+    window.WavesModule.setupWaveSelect();
+
+    // Follow back/forward navigation between views
+    window.UrlStateModule.setupUrlState();
+
+    // Set up named views saved in this browser
+    window.SavedViewsModule.setupSavedViews();
+
+    // Set up custom segments for the segment comparison
+    window.SegmentsModule.setupSegments();
+
+    // Set up undoing and redoing view changes
+    window.UndoHistoryModule.setupUndoHistory();
+
+    // Set up searching the open-ended answers
+    window.CommentSearchModule.setupCommentSearch();
+
+    // Keep the dashboard usable without a network connection
+    registerServiceWorker();
+
     // Initialize CSV loader first
-    window.CSVLoaderModule.initializeCSVLoader().then(() => {
+    window.CSVLoaderModule.initializeCSVLoader().then(openedSavedCopy => {
+        // Show which dataset is active
+        window.DatasetPickerModule.updateActiveDatasetLabel();
+        window.WavesModule.populateWaveSelect();
+
+        // Fill the comparison selects with the roles and locations found in the data
+        window.DataModule.populateComparisonOptions();
+
+        // Offer each open-ended question in the schema to the comment search
+        window.CommentSearchModule.populateCommentSearchQuestions();
+
         // Initialize KPI display after CSV data is loaded
         window.KPIModule.initializeKPIDisplay();
 
         // Initialize grouped averages table after CSV data is loaded
         window.initializeGroupedAveragesTable();
 
-        // Initialize charts after CSV data is loaded with a small delay
-        setTimeout(() => {
-            if (window.DataModule.csvData && window.DataModule.csvData.length > 0) {
-                window.charts.initializeCharts(window.DataModule.csvData);
-            } else {
-                console.error('CSV data not available for charts initialization');
-            }
-        }, 100);
+        // Build the charts; they are drawn once the survey worker has calculated the first view
+        window.charts.initializeCharts();
 
         // Wait for Shoelace components to be ready before setting up radio functionality
-        window.UtilsModule.waitForShoelace().then(() => {
-            window.FiltersModule.setupRadioSelectFunctionality();
-        }).catch(error => {
-            // Try to set up radio functionality anyway
+        window.UtilsModule.waitForShoelace().catch(error => {
+            console.warn('Shoelace components are not ready; setting up the filters anyway:', error);
+        }).then(() => {
             window.FiltersModule.setupRadioSelectFunctionality();
+
+            // A shared link decides the starting view; otherwise use the HTML defaults
+            if (!window.UrlStateModule.restoreFromUrl(false)) {
+                window.FiltersModule.applyHtmlDefaultFilters();
+            }
+
+            dispatchDatasetLoaded();
         });
 
-        // Fallback: Try to set up radio functionality after a simple delay
-        setTimeout(() => {
-            window.FiltersModule.setupRadioSelectFunctionality();
-        }, 1000);
+        // The saved copy opened instantly; switch to newer bundled data if the server has it
+        if (openedSavedCopy) {
+            window.CSVLoaderModule.refreshBundledDataset().then(changed => {
+                if (changed) {
+                    window.DatasetPickerModule.updateActiveDatasetLabel();
+                    refreshDashboard();
+                }
+            }).catch(error => {
+                console.error('Error loading newer survey data:', error);
+            });
+        }
     }).catch(error => {
+        window.DatasetPickerModule.showDatasetLoadError(error);
+
         // Still try to set up the UI even if CSV loading fails
         window.KPIModule.initializeKPIDisplay();
         window.initializeGroupedAveragesTable();
-        window.FiltersModule.setupRadioSelectFunctionality();
+        window.UtilsModule.waitForShoelace().catch(() => {}).then(() => {
+            window.FiltersModule.setupRadioSelectFunctionality();
+        });
     });
 
     // Set up global keyboard shortcuts (optional)
@@ -54,6 +107,63 @@ function initializeApp() {
     setupDevelopmentHelpers();
 }
 
+/**
+ * Put the active dataset and the view on screen in the store, which calculates and renders every view
+ */
+function dispatchDatasetLoaded() {
+    window.StoreModule.dispatch({
+        type: 'dataset/loaded',
+        dataset: window.CSVLoaderModule.getActiveDataset(),
+        view: window.UrlStateModule.getViewState()
+    });
+}
+
+/**
+ * Refresh every view after the active dataset has changed
+ */
+function refreshDashboard() {
+    // The new dataset may have a different set of survey waves, roles and locations
+    window.WavesModule.populateWaveSelect();
+    window.DataModule.populateComparisonOptions();
+
+    // The first dataset may not have loaded, e.g. when its passphrase was not given
+    window.CommentSearchModule.populateCommentSearchQuestions();
+
+    // Existing selections may refer to roles or locations the new dataset does not have
+    window.FiltersModule.resetFilters(false);
+    dispatchDatasetLoaded();
+}
+
+/**
+ * Register the service worker that precaches the app, its libraries and the bundled dataset
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => {
+            // Shoelace's modules were fetched before the service worker was in control,
+            // so tell it which ones the page used
+            const vendorUrls = performance.getEntriesByType('resource')
+                .map(entry => entry.name)
+                .filter(url => url.startsWith(`${location.origin}/`) && url.includes('/vendor/'));
+            registration.active.postMessage({ type: 'cache-urls', urls: vendorUrls });
+        })
+        .catch(error => {
+            console.warn('Offline support is unavailable:', error);
+        });
+}
+
+/**
+ * Check whether a key press is typing into a text field
+ * @param {EventTarget} target - Element the key press is aimed at
+ * @returns {boolean} True for inputs and text areas, including Shoelace ones
+ */
+function isTextEntryTarget(target) {
+    return !!target && !!target.closest && !!target.closest('input, textarea, sl-input, sl-textarea');
+}
+
 /**
  * Set up keyboard shortcuts for easier development and testing
  */
@@ -77,6 +187,17 @@ function setupKeyboardShortcuts() {
             e.preventDefault();
             window.FiltersModule.resetFilters();
         }
+
+        // Press 'z' to undo the last view change, with Shift to redo it; Cmd on macOS.
+        // Text fields keep their own undo.
+        if ((e.key || '').toLowerCase() === 'z' && (e.ctrlKey || e.metaKey) && !isTextEntryTarget(e.target)) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                window.UndoHistoryModule.redo();
+            } else {
+                window.UndoHistoryModule.undo();
+            }
+        }
     });
 }
 
@@ -100,7 +221,9 @@ function setupDevelopmentHelpers() {
 
         // Access to all modules
         modules: {
+            schema: window.SchemaModule,
             data: window.DataModule,
+            analysis: window.AnalysisModule,
             drawer: window.DrawerModule,
             filters: window.FiltersModule,
             utils: window.UtilsModule
@@ -127,5 +250,6 @@ document.addEventListener('DOMContentLoaded', function () {
 // Export functions for use in other modules
 window.AppModule = {
     initializeApp,
+    refreshDashboard,
     handleAppError
 }; 
\ No newline at end of file
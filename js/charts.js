@@ -1,35 +1,23 @@
-// Charts Module - handles the 4 category bar charts
+// Charts Module - handles the category bar charts for the open-ended questions
 class Charts {
     constructor() {
         this.chartInstances = {};
-        this.chartQuestions = {
-            'Q9_cat': 'What do you enjoy most about working at SteelFab?',
-            'Q10_cat': 'What do you enjoy least about working at SteelFab?',
-            'Q12_cat': 'What one or two things would you change about your work experience at SteelFab?',
-        };
+        // Unbroken category names per chart, in the same order as its labels
+        this.chartCategories = {};
+        this.trendChartInstances = {};
+        // Category columns charted, built from the open-ended questions in the survey schema
+        this.chartQuestions = {};
+        this.responseColumns = {};
+        this.canvasIds = {};
         this.seriesColors = [
             '#4A90E2', '#50C878', '#FF6B6B', '#FFB84D', '#9B59B6'
         ];
-    }
-
-    // Count occurrences of each category in a column
-    countCategories(data, column) {
-        const counts = {};
-        let totalProcessed = 0;
-        let emptyCount = 0;
-
-        data.forEach(row => {
-            const value = row[column];
-            if (value && value.trim() !== '') {
-                const category = value.trim();
-                counts[category] = (counts[category] || 0) + 1;
-                totalProcessed++;
-            } else {
-                emptyCount++;
-            }
-        });
-
-        return counts;
+        // Baseline mode series: all responses, the filtered group and the rest of the company
+        this.baselineSeriesColors = {
+            all: '#ABDBF0',
+            filtered: '#4A90E2',
+            rest: '#B0B7BF'
+        };
     }
 
     // Get top 5 categories with counts
@@ -142,7 +130,38 @@ class Charts {
         return [categoryName];
     }
 
-    // Create a bar chart with datasets
+    // Get the color of the series at an index; past the palette, hues are spread around the color wheel
+    getSeriesColor(index) {
+        if (index < this.seriesColors.length) return this.seriesColors[index];
+        return `hsl(${Math.round((index * 137.5) % 360)}, 55%, 55%)`;
+    }
+
+    // Check whether a chart has more series than the palette can tell apart, so it lays its bars out horizontally
+    usesHorizontalBars(datasets) {
+        return !!datasets && datasets.length > this.seriesColors.length;
+    }
+
+    // Make room for horizontal bars: one band per category, tall enough for a bar per series
+    sizeChartCanvas(canvas, datasets) {
+        const chartItem = canvas.parentElement;
+        if (!chartItem) return;
+
+        if (!this.usesHorizontalBars(datasets)) {
+            chartItem.classList.remove('chart-item-horizontal');
+            chartItem.style.removeProperty('--chart-height');
+            return;
+        }
+
+        const categories = new Set();
+        datasets.forEach(dataset => (dataset.rawData || []).forEach(item => categories.add(item[0])));
+        const height = Math.max(360, categories.size * datasets.length * 10 + 120);
+
+        chartItem.classList.add('chart-item-horizontal');
+        chartItem.style.setProperty('--chart-height', `${height}px`);
+    }
+
+    // Create a bar chart with datasets. Charts with more series than seriesColors lay their
+    // bars out horizontally, with each category as a band of bars.
     createChart(canvasId, datasets, title) {
         const canvas = document.getElementById(canvasId);
         if (!canvas) {
@@ -150,6 +169,10 @@ class Charts {
             return;
         }
 
+        // Size the chart before measuring it
+        this.sizeChartCanvas(canvas, datasets);
+        const horizontal = this.usesHorizontalBars(datasets);
+
         const ctx = canvas.getContext('2d');
 
         // Get device pixel ratio
@@ -176,19 +199,13 @@ class Charts {
 
         // If no datasets provided, show empty chart
         if (!datasets || datasets.length === 0) {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.fillStyle = '#666';
-            ctx.font = '24px Arial';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            
-
-
-            // Center the text properly (using CSS dimensions, not scaled canvas dimensions)
-            const centerX = rect.width / 2;
-            const centerY = rect.height / 2; 
-            ctx.fillText('Select items to see comparison data', centerX, centerY);           
-            
+            this.drawChartMessage(canvas, ctx, rect, 'Select items to see comparison data');
+            return;
+        }
+
+        // Groups too small to show have no categories
+        if (datasets.every(dataset => dataset.suppressed)) {
+            this.drawChartMessage(canvas, ctx, rect, 'Not enough responses');
             return;
         }
 
@@ -200,22 +217,63 @@ class Charts {
             }
         });
 
-        // Convert to sorted array based on first dataset order
-        const firstDatasetOrder = datasets[0].rawData ? datasets[0].rawData.map(item => item[0]) : [];
-        const labels = Array.from(allCategories)
+        // Convert to sorted array based on first shown dataset order
+        const firstDataset = datasets.find(dataset => !dataset.suppressed);
+        const firstDatasetOrder = firstDataset.rawData ? firstDataset.rawData.map(item => item[0]) : [];
+        const categories = Array.from(allCategories)
             .sort((a, b) => {
                 const aIndex = firstDatasetOrder.indexOf(a);
                 const bIndex = firstDatasetOrder.indexOf(b);
                 if (aIndex === -1) return 1;
                 if (bIndex === -1) return -1;
                 return aIndex - bIndex;
-            })
-            .map(category => this.breakCategoryName(category));
+            });
+        const labels = categories.map(category => this.breakCategoryName(category));
+        this.chartCategories[canvasId] = categories;
+
+        // Percentages run along the value axis, categories along the other one
+        const valueScale = {
+            beginAtZero: true,
+            title: {
+                display: true,
+                text: 'Percent of Total',
+                color: '#1c1c1c',
+                font: {
+                    size: 14,
+                    weight: 500
+                }
+            },
+            ticks: {
+                color: '#1c1c1c',
+                callback: function (value) {
+                    return value + '%';
+                }
+            },
+            grid: {
+                color: '#e0e0e0'
+            }
+        };
+        const categoryScale = {
+            ticks: {
+                color: '#1c1c1c',
+                maxRotation: 0,
+                minRotation: 0,
+                padding: 10,
+                font: {
+                    size: 12
+                },
+                autoSkip: false,
+                maxTicksLimit: false
+            },
+            grid: {
+                display: false
+            }
+        };
 
         // Process each dataset
         const processedDatasets = datasets.map(dataset => {
             const dataMap = new Map(dataset.rawData);
-            const rawValues = Array.from(allCategories).map(category => dataMap.get(category) || 0);
+            const rawValues = categories.map(category => dataMap.get(category) || 0);
             const totalResponses = rawValues.reduce((sum, value) => sum + value, 0);
             const percentages = rawValues.map(value =>
                 totalResponses > 0 ? (value / totalResponses) * 100 : 0
@@ -223,11 +281,13 @@ class Charts {
 
             return {
                 label: dataset.label,
+                seriesId: dataset.seriesId,
+                suppressed: dataset.suppressed,
                 data: percentages,
                 backgroundColor: dataset.backgroundColor,
                 borderColor: '#1c1c1c',
                 borderWidth: 1,
-                barPercentage: 0.7,
+                barPercentage: horizontal ? 0.9 : 0.7,
                 categoryPercentage: 0.8,
                 rawValues: rawValues,
                 totalResponses: totalResponses
@@ -241,10 +301,12 @@ class Charts {
                 datasets: processedDatasets
             },
             options: {
+                indexAxis: horizontal ? 'y' : 'x',
                 responsive: true,
                 maintainAspectRatio: false,
                 interaction: {
                     mode: 'index',
+                    axis: horizontal ? 'y' : 'x',
                     intersect: false
                 },
                 onHover: (event, elements) => {
@@ -259,7 +321,7 @@ class Charts {
                         const datasetIndex = element.datasetIndex;
                         const dataIndex = element.index;
                         const dataset = this.chartInstances[canvasId].data.datasets[datasetIndex];
-                        const category = this.chartInstances[canvasId].data.labels[dataIndex];
+                        const category = this.chartCategories[canvasId][dataIndex];
                         
                         // Call method to show responses dialog
                         this.showResponsesDialog(canvasId, dataset, category, dataIndex);
@@ -299,219 +361,265 @@ class Charts {
                         displayColors: false // Hide the colored boxes in tooltip
                     }
                 },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Percent of Total',
-                            color: '#1c1c1c',
-                            font: {
-                                size: 14,
-                                weight: 500
-                            }
-                        },
-                        ticks: {
-                            color: '#1c1c1c',
-                            callback: function (value) {
-                                return value + '%';
-                            }
-                        },
-                        grid: {
-                            color: '#e0e0e0'
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            color: '#1c1c1c',
-                            maxRotation: 0,
-                            minRotation: 0,
-                            padding: 10,
-                            font: {
-                                size: 12
-                            },
-                            autoSkip: false,
-                            maxTicksLimit: false
-                        },
-                        grid: {
-                            display: false
-                        }
-                    }
-                }
+                scales: horizontal
+                    ? { x: valueScale, y: categoryScale }
+                    : { x: categoryScale, y: valueScale }
             }
         });
     }
 
+    // Draw a message in place of a chart
+    drawChartMessage(canvas, ctx, rect, text) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#666';
+        ctx.font = '24px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Center the text properly (using CSS dimensions, not scaled canvas dimensions)
+        const centerX = rect.width / 2;
+        const centerY = rect.height / 2;
+        ctx.fillText(text, centerX, centerY);
+    }
+
+    // Describe a series in the chart legend, noting groups too small to show
+    getChartSeriesLabel(item) {
+        return item.suppressed ? `${item.label} (not enough responses)` : item.label;
+    }
+
+    // Read the open-ended questions from the survey schema
+    configureFromSchema() {
+        this.chartQuestions = {};
+        this.responseColumns = {};
+        this.canvasIds = {};
+
+        window.SchemaModule.getOpenEndedQuestions().forEach(question => {
+            this.chartQuestions[question.categoryColumn] = question.text;
+            this.responseColumns[question.categoryColumn] = question.answerColumn;
+            this.canvasIds[question.categoryColumn] = `chart-${question.id.toLowerCase()}`;
+        });
+    }
+
+    // Find the category column shown on a canvas
+    getColumnForCanvas(canvasId) {
+        return Object.keys(this.canvasIds).find(column => this.canvasIds[column] === canvasId);
+    }
+
+    // Create a chart item with title and canvas for each open-ended question
+    buildChartContainers() {
+        const container = document.getElementById('charts-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        Object.keys(this.chartQuestions).forEach(column => {
+            const chartItem = document.createElement('div');
+            chartItem.className = 'chart-item';
+
+            const title = document.createElement('h3');
+            title.className = 'chart-title';
+            title.textContent = this.chartQuestions[column];
+            chartItem.appendChild(title);
+
+            const canvas = document.createElement('canvas');
+            canvas.id = this.canvasIds[column];
+            canvas.className = 'chart-canvas';
+            chartItem.appendChild(canvas);
+
+            container.appendChild(chartItem);
+        });
+    }
+
     // Initialize all charts
-    initializeCharts(data) {
+    initializeCharts() {
         // Check if Chart.js is loaded
         if (typeof Chart === 'undefined') {
             console.error('Chart.js is not loaded!');
             return;
         }
 
-        // Check if data exists and has the expected structure
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            console.error('No data available for charts');
-            return;
-        }
-
-        // Update chart titles with actual questions
-        this.updateChartTitles();
+        // Build one chart per open-ended question in the schema
+        this.configureFromSchema();
+        this.buildChartContainers();
 
-        // Create charts for each category column
-        Object.keys(this.chartQuestions).forEach((column, index) => {
-            const counts = this.countCategories(data, column);
-            const chartData = this.getAllCategories(counts);
-            const canvasId = `chart-q${column.replace('Q', '').replace('_cat', '')}`;
-
-            // Initialize with baseline data only (no filtered data on initial load)
-            const datasets = [{
-                label: 'All Responses',
-                backgroundColor: '#ABDBF0',
-                rawData: chartData
-            }];
+        // Draw whatever results are already available
+        this.updateCharts();
+    }
 
-            this.createChart(canvasId, datasets, this.chartQuestions[column]);
+    // Re-render the charts whenever new results arrive
+    subscribeCharts() {
+        window.StoreModule.subscribe(['analysis'], state => {
+            this.updateCharts(state.analysis);
         });
     }
 
-    // Update chart titles in HTML
-    updateChartTitles() {
-        const titles = document.querySelectorAll('.chart-title');
-        const questions = Object.values(this.chartQuestions);
+    // Build the bar chart datasets for one category column from the latest results
+    getChartDatasets(analysis, column) {
+        if (window.AnalysisModule.isComparisonMode(analysis.mode)) {
+            // One dataset per selected role, location, role and location pair or segment
+            return analysis.series.map((item, index) => ({
+                label: this.getChartSeriesLabel(item),
+                seriesId: item.id,
+                suppressed: !!item.suppressed,
+                backgroundColor: this.getSeriesColor(index),
+                rawData: item.suppressed ? [] : item.categories[column]
+            }));
+        }
 
-        titles.forEach((title, index) => {
-            if (questions[index]) {
-                title.textContent = questions[index];
-            }
-        });
+        // Baseline dataset, plus the filtered dataset if filters are applied and the rest of the company
+        // when the filtered group is compared against it
+        return analysis.series
+            .filter(item => item.id === 'all' || item.count > 0)
+            .map(item => ({
+                label: this.getChartSeriesLabel(item),
+                seriesId: item.id,
+                suppressed: !!item.suppressed,
+                backgroundColor: this.baselineSeriesColors[item.id],
+                rawData: item.suppressed ? [] : item.categories[column]
+            }));
     }
 
-    // Get current filter state and update all charts
-    updateCharts() {
-        // Get current comparison mode
-        const comparisonMode = (window.DrawerModule && window.DrawerModule.getCurrentComparisonMode)
-            ? window.DrawerModule.getCurrentComparisonMode()
-            : 'baseline';
-
-        // Get baseline data
-        const baselineData = window.CSVLoaderModule?.getCSVData();
-        if (!baselineData || baselineData.length === 0) {
-            console.error('No baseline data available for chart updates');
-            return;
+    // Render all charts from the latest results
+    updateCharts(analysis = window.AnalysisModule?.getLatestAnalysis()) {
+        // Build the charts from the schema if they were never initialized
+        if (Object.keys(this.chartQuestions).length === 0 && window.SchemaModule?.getSchema()) {
+            this.configureFromSchema();
+            this.buildChartContainers();
         }
 
-        // Update each chart based on comparison mode
+        // Nothing to draw until the survey worker has returned results
+        if (!analysis) return;
+
         Object.keys(this.chartQuestions).forEach((column) => {
-            const canvasId = `chart-q${column.replace('Q', '').replace('_cat', '')}`;
-
-            if (comparisonMode === 'roles') {
-                this.updateChartsForRoles(canvasId, column, baselineData);
-            } else if (comparisonMode === 'location') {
-                this.updateChartsForLocations(canvasId, column, baselineData);
-            } else {
-                this.updateChartsForBaseline(canvasId, column, baselineData);
-            }
+            this.createChart(this.canvasIds[column], this.getChartDatasets(analysis, column), this.chartQuestions[column]);
         });
+
+        // Update the across-wave trend charts for the same series
+        this.updateTrendCharts(analysis);
     }
 
-    // Update charts for baseline mode (preserve existing functionality)
-    updateChartsForBaseline(canvasId, column, baselineData) {
-        // Get the current filter state
-        const filters = window.UtilsModule?.getCurrentFiltersForCsv();
-        const hasFilters = filters && (
-            (filters.roleMode === 'compare' && filters.selectedRoles.length > 0) ||
-            (filters.locationMode === 'compare' && filters.selectedLocations.length > 0)
-        );
-
-        // Calculate baseline category counts
-        const baselineCounts = this.countCategories(baselineData, column);
-        const baselineChartData = this.getAllCategories(baselineCounts);
-
-        // Prepare baseline dataset
-        const datasets = [{
-            label: 'All Responses',
-            backgroundColor: '#ABDBF0',
-            rawData: baselineChartData
-        }];
-
-        // Add filtered dataset if filters are applied
-        if (hasFilters) {
-            const filteredData = window.CSVLoaderModule?.getFilteredData(filters);
-            if (filteredData && filteredData.length > 0) {
-                const filteredCounts = this.countCategories(filteredData, column);
-                const filteredChartData = this.getAllCategories(filteredCounts);
-
-                datasets.push({
-                    label: 'Filtered Results',
-                    backgroundColor: '#4A90E2',
-                    rawData: filteredChartData
-                });
-            }
-        }
+    // Get the color of each series in the trend charts
+    getTrendSeriesColor(item, index) {
+        if (this.baselineSeriesColors[item.id]) return this.baselineSeriesColors[item.id];
+        return this.getSeriesColor(index);
+    }
+
+    // Create one canvas per question group in the trend section (only once)
+    ensureTrendCanvases(groupNames) {
+        const grid = document.getElementById('trend-charts-grid');
+        if (!grid || grid.childElementCount === groupNames.length) return;
 
-        this.createChart(canvasId, datasets, this.chartQuestions[column]);
+        grid.innerHTML = groupNames.map((groupName, index) => `
+            <div class="chart-item trend-chart-item">
+                <h3 class="chart-title">${groupName}</h3>
+                <canvas id="trend-chart-${index}" class="trend-chart-canvas"></canvas>
+            </div>
+        `).join('');
     }
 
-    // Update charts for roles comparison mode
-    updateChartsForRoles(canvasId, column, baselineData) {
-        const selectedRoles = window.KPIModule?.getSelectedComparisonItems('roles');
-        if (!selectedRoles || selectedRoles.length === 0) {
-            // Show empty chart
-            this.createChart(canvasId, [], this.chartQuestions[column]);
+    // Update the line charts showing each question group across survey waves
+    updateTrendCharts(analysis) {
+        const container = document.getElementById('trend-charts-container');
+        if (!container) return;
+
+        const waves = analysis.waves;
+
+        // Trends only make sense with at least two waves
+        if (waves.length < 2) {
+            container.classList.add('hidden');
+            Object.values(this.trendChartInstances).forEach(chart => chart.destroy());
+            this.trendChartInstances = {};
             return;
         }
 
-        // Create dataset for each role (limit to 5)
-        const datasets = selectedRoles.slice(0, 5).map((roleData, index) => {
-            const roleFilteredData = baselineData.filter(row => row.Role === roleData.csvValue);
-            const roleCounts = this.countCategories(roleFilteredData, column);
-            const roleChartData = this.getAllCategories(roleCounts);
+        container.classList.remove('hidden');
+
+        const groupNames = window.SchemaModule.getGroups().map(group => group.name);
+        this.ensureTrendCanvases(groupNames);
+
+        // The worker returns each series' group averages for every wave
+        const series = analysis.series.filter(item => item.trend);
+
+        groupNames.forEach((groupName, groupIndex) => {
+            const datasets = series.map((item, seriesIndex) => {
+                const color = this.getTrendSeriesColor(item, seriesIndex);
+                return {
+                    label: item.label,
+                    data: item.trend.map(averages =>
+                        averages ? Math.round(averages[groupName] * 10) / 10 : null
+                    ),
+                    borderColor: color,
+                    backgroundColor: color,
+                    tension: 0.2,
+                    spanGaps: true
+                };
+            });
 
-            return {
-                label: roleData.displayName,
-                backgroundColor: this.seriesColors[index % this.seriesColors.length],
-                rawData: roleChartData
-            };
+            this.createTrendChart(`trend-chart-${groupIndex}`, waves, datasets);
         });
-
-        this.createChart(canvasId, datasets, this.chartQuestions[column]);
     }
 
-    // Update charts for locations comparison mode
-    updateChartsForLocations(canvasId, column, baselineData) {
-        const selectedLocations = window.KPIModule?.getSelectedComparisonItems('location');
-        if (!selectedLocations || selectedLocations.length === 0) {
-            // Show empty chart
-            this.createChart(canvasId, [], this.chartQuestions[column]);
-            return;
-        }
+    // Create a line chart of average scores across waves
+    createTrendChart(canvasId, waves, datasets) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
 
-        // Create dataset for each location (limit to 5)
-        const datasets = selectedLocations.slice(0, 5).map((locationData, index) => {
-            const locationFilteredData = baselineData.filter(row => row.Location === locationData.csvValue);
-            const locationCounts = this.countCategories(locationFilteredData, column);
-            const locationChartData = this.getAllCategories(locationCounts);
+        if (this.trendChartInstances[canvasId]) {
+            this.trendChartInstances[canvasId].destroy();
+        }
 
-            return {
-                label: locationData.displayName,
-                backgroundColor: this.seriesColors[index % this.seriesColors.length],
-                rawData: locationChartData
-            };
+        this.trendChartInstances[canvasId] = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: waves,
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: datasets.length > 1,
+                        position: 'top',
+                        labels: {
+                            color: '#1c1c1c',
+                            usePointStyle: true
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        suggestedMin: 40,
+                        suggestedMax: 100,
+                        title: {
+                            display: true,
+                            text: 'Average Score',
+                            color: '#1c1c1c'
+                        },
+                        ticks: {
+                            color: '#1c1c1c'
+                        },
+                        grid: {
+                            color: '#e0e0e0'
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            color: '#1c1c1c'
+                        },
+                        grid: {
+                            display: false
+                        }
+                    }
+                }
+            }
         });
-
-        this.createChart(canvasId, datasets, this.chartQuestions[column]);
     }
 
     // Show responses dialog for clicked bar
     showResponsesDialog(canvasId, dataset, category, dataIndex) {
         // Get the question column from canvas ID
-        const questionNumber = canvasId.replace('chart-q', '');
-        const column = `Q${questionNumber}_cat`;
-        
-        // Get the category name (flatten array if it's broken into multiple lines)
-        const categoryName = Array.isArray(category) ? category.join(' ') : category;
+        const column = this.getColumnForCanvas(canvasId);
         
         // Get all datasets from the chart for tabbed interface
         const chartInstance = this.chartInstances[canvasId];
@@ -521,90 +629,66 @@ class Charts {
         const clickedDatasetIndex = allDatasets.findIndex(ds => ds.label === dataset.label);
         
         // Create and show the dialog with all datasets
-        this.createTabbedResponsesDialog(categoryName, allDatasets, column, clickedDatasetIndex);
-    }
-
-    // Get raw responses for a specific category and dataset
-    getRawResponsesForCategory(column, categoryName, datasetLabel) {
-        const baselineData = window.CSVLoaderModule?.getCSVData();
-        if (!baselineData) return [];
-
-        let filteredData = baselineData;
-
-        // Apply filters based on dataset label
-        if (datasetLabel === 'Filtered Results') {
-            const filters = window.UtilsModule?.getCurrentFiltersForCsv();
-            if (filters) {
-                filteredData = window.CSVLoaderModule?.getFilteredData(filters);
-            }
-        } else if (datasetLabel !== 'All Responses') {
-            // Handle role or location comparisons
-            const comparisonMode = window.DrawerModule?.getCurrentComparisonMode();
-            if (comparisonMode === 'roles') {
-                const selectedRoles = window.KPIModule?.getSelectedComparisonItems('roles');
-                const roleData = selectedRoles?.find(role => role.displayName === datasetLabel);
-                if (roleData) {
-                    filteredData = baselineData.filter(row => row.Role === roleData.csvValue);
-                }
-            } else if (comparisonMode === 'location') {
-                const selectedLocations = window.KPIModule?.getSelectedComparisonItems('location');
-                const locationData = selectedLocations?.find(loc => loc.displayName === datasetLabel);
-                if (locationData) {
-                    filteredData = baselineData.filter(row => row.Location === locationData.csvValue);
-                }
-            }
-        }
-
-        // Get responses that match the category
-        const responses = [];
-        filteredData.forEach((row, index) => {
-            const response = row[column];
-            if (response && response.trim() === categoryName) {
-                // Get the original open-ended response
-                const originalColumn = column.replace('_cat', '');
-                const originalResponse = row[originalColumn];
-                if (originalResponse && originalResponse.trim()) {
-                    responses.push({
-                        text: originalResponse.trim(),
-                        index: index + 1
-                    });
+        this.createTabbedResponsesDialog(category, allDatasets, column, clickedDatasetIndex)
+            .catch(error => {
+                if (!window.SurveyWorkerModule.isStaleRequestError(error)) {
+                    console.error('Error loading responses:', error);
                 }
-            }
-        });
+            });
+    }
 
-        return responses;
+    // Get raw responses for a specific category and dataset from the survey worker,
+    // which withholds them when the group is too small to show
+    async getRawResponsesForCategory(column, categoryName, seriesId) {
+        const result = await window.AnalysisModule.getSeriesResponses(seriesId, column, this.responseColumns[column], categoryName);
+
+        return {
+            suppressed: result.suppressed,
+            responses: result.answers.map((text, index) => ({
+                text: text,
+                index: index + 1
+            }))
+        };
     }
 
     // Create and show the tabbed responses dialog
-    createTabbedResponsesDialog(categoryName, datasets, column, activeTabIndex = 0) {
-        // Remove existing dialog if present
-        const existingDialog = document.getElementById('responses-dialog');
-        if (existingDialog) {
-            existingDialog.remove();
-        }
-
+    async createTabbedResponsesDialog(categoryName, datasets, column, activeTabIndex = 0) {
         // Prepare tab data with response counts
-        const tabData = datasets.map(dataset => {
-            const responses = this.getRawResponsesForCategory(column, categoryName, dataset.label);
+        const tabData = await Promise.all(datasets.map(async dataset => {
+            const { suppressed, responses } = await this.getRawResponsesForCategory(column, categoryName, dataset.seriesId);
             return {
                 label: dataset.label,
+                suppressed: suppressed,
                 responses: responses,
                 count: responses.length,
                 backgroundColor: dataset.backgroundColor
             };
-        });
+        }));
+
+        // Remove existing dialog if present
+        const existingDialog = document.getElementById('responses-dialog');
+        if (existingDialog) {
+            existingDialog.remove();
+        }
 
         // Determine if we need tabs (more than one dataset)
         const showTabs = datasets.length > 1;
+
+        // Only offer the cross-filter when the dashboard is not already restricted to this category
+        const crossFilter = window.CrossFilterModule.getCrossFilter();
+        const isCrossFiltered = !!crossFilter && crossFilter.column === column && crossFilter.category === categoryName;
         const activeTab = tabData[activeTabIndex] || tabData[0];
 
+        // Category names, series labels and comments come from the data or are typed by users, e.g. segment names
+        const escape = window.UtilsModule.escapeHTML;
+
         // Create dialog HTML
         const dialogHTML = `
-            <sl-dialog id="responses-dialog" label="Response Details: ${categoryName}" class="response-dialog" style="--width: 700px;">
+            <sl-dialog id="responses-dialog" label="Response Details: ${escape(categoryName)}" class="response-dialog" style="--width: 700px;">
                 <div class="response-content">
                     ${!showTabs ? `
                         <div class="response-header">
-                            <sl-badge variant="neutral">${activeTab.label}</sl-badge>
+                            <sl-badge variant="neutral">${escape(activeTab.label)}</sl-badge>
                         </div>
                     ` : ''}
                     
@@ -613,7 +697,7 @@ class Charts {
                             ${tabData.map((tab, index) => `
                                 <sl-tab slot="nav" panel="panel-${index}" ${index === activeTabIndex ? 'active' : ''}>
                                     <div class="tab-content">
-                                        <span class="tab-label">${tab.label}</span>
+                                        <span class="tab-label">${escape(tab.label)}</span>
                                         <sl-badge variant="neutral" size="small">${tab.count}</sl-badge>
                                     </div>
                                 </sl-tab>
@@ -622,18 +706,23 @@ class Charts {
                             ${tabData.map((tab, index) => `
                                 <sl-tab-panel name="panel-${index}" ${index === activeTabIndex ? 'active' : ''}>
                                     <div class="responses-list" id="responses-list-${index}">
-                                        ${this.generateResponsesList(tab.responses)}
+                                        ${this.generateResponsesList(tab.responses, tab.suppressed)}
                                     </div>
                                 </sl-tab-panel>
                             `).join('')}
                         </sl-tab-group>
                     ` : `
                         <div class="responses-list">
-                            ${this.generateResponsesList(activeTab.responses)}
+                            ${this.generateResponsesList(activeTab.responses, activeTab.suppressed)}
                         </div>
                     `}
                 </div>
                 
+                ${isCrossFiltered ? '' : `
+                    <sl-button slot="footer" variant="default" id="cross-filter-btn">
+                        Filter to these respondents
+                    </sl-button>
+                `}
                 <sl-button slot="footer" variant="primary" id="close-dialog-btn">
                     Close
                 </sl-button>
@@ -644,24 +733,28 @@ class Charts {
         document.body.insertAdjacentHTML('beforeend', dialogHTML);
 
         // Show the dialog and set up event listeners
-        this.initializeDialog(tabData, showTabs);
+        this.initializeDialog(tabData, showTabs, column, categoryName);
     }
 
     // Generate responses list HTML
-    generateResponsesList(responses) {
+    generateResponsesList(responses, suppressed = false) {
+        if (suppressed) {
+            return '<p class="no-responses">Comments are hidden because too few people are in this group to keep them anonymous.</p>';
+        }
+
         if (responses.length === 0) {
             return '<p class="no-responses">No responses found for this category.</p>';
         }
         
         return responses.map(response => `
             <sl-card class="response-item">
-                <div class="response-text">${response.text}</div>
+                <div class="response-text">${window.UtilsModule.escapeHTML(response.text)}</div>
             </sl-card>
         `).join('');
     }
 
     // Initialize dialog and set up event listeners
-    initializeDialog(tabData, showTabs) {
+    initializeDialog(tabData, showTabs, column, categoryName) {
         const dialog = document.getElementById('responses-dialog');
         if (!dialog) {
             console.error('Dialog element not found');
@@ -677,6 +770,9 @@ class Charts {
                     
                     // Set up close button
                     this.setupCloseButton(dialog);
+
+                    // Set up the action restricting the dashboard to this category
+                    this.setupCrossFilterButton(dialog, column, categoryName);
                     
                     // Set up tab switching if tabs are present
                     if (showTabs) {
@@ -701,6 +797,17 @@ class Charts {
         }
     }
 
+    // Restrict the whole dashboard to the respondents in the dialog's category
+    setupCrossFilterButton(dialog, column, categoryName) {
+        const crossFilterBtn = document.getElementById('cross-filter-btn');
+        if (crossFilterBtn) {
+            crossFilterBtn.addEventListener('click', () => {
+                dialog.hide();
+                window.CrossFilterModule.setCrossFilter(column, categoryName);
+            });
+        }
+    }
+
     // Set up tab switching functionality
     setupTabSwitching(tabData) {
         const tabGroup = document.getElementById('response-tabs');
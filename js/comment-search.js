@@ -0,0 +1,304 @@
+/**
+ * Comment Search Module - Search the Open-Ended Answers
+ * Restricts every view to the respondents whose open-ended answers contain the words or
+ * "quoted phrases" searched for, in all open-ended questions or one of them. Matching ignores
+ * case and accents, so "seguridad" finds "Seguridád". The active search shows as a removable
+ * chip in the filter status bar, and its matching answers are listed with the matches highlighted.
+ */
+
+// Channel for result lists, so searching again only shows the newest matches
+const COMMENT_SEARCH_CHANNEL = 'comment-search';
+
+// Value of the question select that searches every open-ended question
+const ALL_SEARCH_QUESTIONS = 'all';
+
+// Active search { query, questionId, terms } where questionId is '' for every open-ended question, or null
+let activeCommentSearch = null;
+
+/**
+ * Get the active search
+ * @returns {Object|null} { query, questionId, terms } or null
+ */
+function getCommentSearch() {
+    return activeCommentSearch;
+}
+
+/**
+ * Get the open-ended questions whose answer text can be searched
+ * @returns {Array} Question definitions in survey order
+ */
+function getSearchableQuestions() {
+    return window.SchemaModule.getOpenEndedQuestions().filter(question => question.answerColumn);
+}
+
+/**
+ * Get the answer columns a search looks in
+ * @param {Object} search - Search { questionId }
+ * @returns {string[]} Answer columns
+ */
+function getSearchColumns(search) {
+    return getSearchableQuestions()
+        .filter(question => !search.questionId || question.id === search.questionId)
+        .map(question => question.answerColumn);
+}
+
+/**
+ * Set the search without recording the view, e.g. when restoring a shared link.
+ * A query without any words, or a question the schema does not have, clears or widens it.
+ * @param {string} query - Words and "quoted phrases" to find
+ * @param {string} questionId - Open-ended question ID, or '' for all of them
+ */
+function setCommentSearch(query, questionId) {
+    const terms = window.SurveyCore.parseSearchTerms(query);
+    const question = getSearchableQuestions().find(item => item.id === questionId);
+
+    activeCommentSearch = terms.length > 0
+        ? { query: query.trim(), questionId: question ? question.id : '', terms }
+        : null;
+}
+
+/**
+ * Remove the search
+ * @param {boolean} dispatchChange - Record the view straight away; callers that change more of the view record it themselves
+ */
+function clearCommentSearch(dispatchChange = true) {
+    if (!activeCommentSearch) return;
+
+    activeCommentSearch = null;
+    if (dispatchChange) {
+        window.StoreModule.dispatchViewChange();
+    }
+}
+
+/**
+ * Add the search to a filter spec for the survey worker
+ * @param {Object} spec - Filter spec
+ * @returns {Object} Spec with search { columns, terms } when a search is active
+ */
+function applyCommentSearchToSpec(spec) {
+    if (!activeCommentSearch) return spec;
+
+    return {
+        ...spec,
+        search: { columns: getSearchColumns(activeCommentSearch), terms: activeCommentSearch.terms }
+    };
+}
+
+/**
+ * Show the active search as a removable chip with a button listing its matches
+ * @param {HTMLElement} container - Element to add the chip to
+ */
+function renderCommentSearchChip(container) {
+    if (!activeCommentSearch) return;
+
+    // Queries are typed by the user, so build the chip without innerHTML
+    const chip = document.createElement('sl-tag');
+    chip.className = 'comment-search-chip';
+    chip.setAttribute('removable', '');
+    chip.setAttribute('pill', '');
+    chip.textContent = activeCommentSearch.questionId
+        ? `${activeCommentSearch.questionId} mentions “${activeCommentSearch.query}”`
+        : `Comments mention “${activeCommentSearch.query}”`;
+
+    chip.addEventListener('sl-remove', function () {
+        clearCommentSearch();
+    });
+
+    const showButton = document.createElement('sl-button');
+    showButton.size = 'small';
+    showButton.variant = 'text';
+    showButton.textContent = 'Show matches';
+    showButton.addEventListener('click', function () {
+        showCommentSearchResults();
+    });
+
+    container.append(chip, showButton);
+}
+
+/**
+ * Create the HTML for an answer with the search matches highlighted
+ * @param {string} text - Answer text
+ * @param {string[]} terms - Folded search terms
+ * @returns {string} HTML string
+ */
+function highlightSearchMatches(text, terms) {
+    const escape = window.UtilsModule.escapeHTML;
+    const ranges = window.SurveyCore.findSearchMatches(text, terms) || [];
+
+    let html = '';
+    let position = 0;
+    ranges.forEach(range => {
+        html += `${escape(text.slice(position, range.start))}<mark>${escape(text.slice(range.start, range.end))}</mark>`;
+        position = range.end;
+    });
+    return html + escape(text.slice(position));
+}
+
+/**
+ * Create the HTML for one series' matches in the result list
+ * @param {Object} result - { label, suppressed, matches } where matches are { column, text }
+ * @param {string[]} terms - Folded search terms
+ * @returns {string} HTML string
+ */
+function createSearchResultSectionHTML(result, terms) {
+    const escape = window.UtilsModule.escapeHTML;
+    const questionIds = {};
+    getSearchableQuestions().forEach(question => {
+        questionIds[question.answerColumn] = question.id;
+    });
+
+    let body;
+    if (result.suppressed) {
+        body = '<p class="no-responses">Too few people in this group to show their comments anonymously.</p>';
+    } else if (result.matches.length === 0) {
+        body = '<p class="no-responses">No comments match the search.</p>';
+    } else {
+        body = result.matches.map(match => `
+            <sl-card class="response-item">
+                <sl-badge variant="neutral" class="comment-search-question">${escape(questionIds[match.column] || match.column)}</sl-badge>
+                <div class="response-text">${highlightSearchMatches(match.text, terms)}</div>
+            </sl-card>
+        `).join('');
+    }
+
+    const count = result.suppressed ? '' : ` (${result.matches.length})`;
+    return `
+        <section class="comment-search-section">
+            <h3 class="comment-search-heading">${escape(result.label)}${count}</h3>
+            <div class="responses-list">${body}</div>
+        </section>
+    `;
+}
+
+/**
+ * List the answers matching the active search for the respondents in view, highlighting the matches
+ * @returns {Promise<void>} Resolves once the list is shown, or dropped for a newer one
+ */
+async function showCommentSearchResults() {
+    const search = activeCommentSearch;
+    if (!search) return;
+
+    const series = window.AnalysisModule.getCommentSearchSeries();
+
+    let results;
+    try {
+        results = await window.SurveyWorkerModule.request('search', {
+            wave: window.CSVLoaderModule.getSelectedWave(),
+            series: series.map(item => ({ id: item.id, spec: item.spec })),
+            columns: getSearchColumns(search),
+            terms: search.terms
+        }, COMMENT_SEARCH_CHANNEL);
+    } catch (error) {
+        if (!window.SurveyWorkerModule.isStaleRequestError(error)) {
+            console.error('Error searching comments:', error);
+        }
+        return;
+    }
+
+    const existingDialog = document.getElementById('comment-search-dialog');
+    if (existingDialog) {
+        existingDialog.remove();
+    }
+
+    const dialog = document.createElement('sl-dialog');
+    dialog.id = 'comment-search-dialog';
+    dialog.className = 'response-dialog';
+    dialog.label = `Comments mentioning “${search.query}”`;
+    dialog.style.setProperty('--width', '700px');
+    dialog.innerHTML = results
+        .map((result, index) => createSearchResultSectionHTML({ ...result, label: series[index].label }, search.terms))
+        .join('');
+
+    const closeButton = document.createElement('sl-button');
+    closeButton.slot = 'footer';
+    closeButton.variant = 'primary';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', function () {
+        dialog.hide();
+    });
+    dialog.appendChild(closeButton);
+
+    document.body.appendChild(dialog);
+    await customElements.whenDefined('sl-dialog');
+    dialog.show();
+}
+
+/**
+ * Fill the question select with every open-ended question from the survey schema
+ */
+function populateCommentSearchQuestions() {
+    const questionSelect = document.getElementById('comment-search-question');
+    if (!questionSelect) return;
+
+    const escape = window.UtilsModule.escapeHTML;
+    questionSelect.innerHTML = `<sl-option value="${ALL_SEARCH_QUESTIONS}">All questions</sl-option>` +
+        getSearchableQuestions().map(question =>
+            `<sl-option value="${escape(question.id)}" title="${escape(question.text)}">${escape(question.id)}</sl-option>`
+        ).join('');
+    questionSelect.value = activeCommentSearch && activeCommentSearch.questionId
+        ? activeCommentSearch.questionId
+        : ALL_SEARCH_QUESTIONS;
+}
+
+/**
+ * Show the active search in the search box, e.g. after an undo or a shared link changed it
+ */
+function syncCommentSearchForm() {
+    const queryInput = document.getElementById('comment-search-input');
+    const questionSelect = document.getElementById('comment-search-question');
+
+    if (queryInput) {
+        queryInput.value = activeCommentSearch ? activeCommentSearch.query : '';
+    }
+    if (questionSelect) {
+        questionSelect.value = activeCommentSearch && activeCommentSearch.questionId
+            ? activeCommentSearch.questionId
+            : ALL_SEARCH_QUESTIONS;
+    }
+}
+
+/**
+ * Set up the search box: searching filters the dashboard and lists the matches
+ */
+function setupCommentSearch() {
+    const form = document.getElementById('comment-search-form');
+    const queryInput = document.getElementById('comment-search-input');
+    const questionSelect = document.getElementById('comment-search-question');
+
+    if (!form || !queryInput || !questionSelect) {
+        console.warn('Could not set up comment search - missing elements');
+        return;
+    }
+
+    form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        if (!window.CSVLoaderModule.isCSVDataLoaded()) return;
+
+        const questionId = questionSelect.value === ALL_SEARCH_QUESTIONS ? '' : questionSelect.value;
+        setCommentSearch(queryInput.value, questionId);
+        window.StoreModule.dispatchViewChange();
+
+        showCommentSearchResults();
+    });
+
+    // Clearing the box removes the search
+    queryInput.addEventListener('sl-clear', function () {
+        clearCommentSearch();
+    });
+
+    window.StoreModule.subscribe(['view'], function () {
+        syncCommentSearchForm();
+    });
+}
+
+// Export functions for use in other modules
+window.CommentSearchModule = {
+    getCommentSearch,
+    setCommentSearch,
+    clearCommentSearch,
+    applyCommentSearchToSpec,
+    renderCommentSearchChip,
+    showCommentSearchResults,
+    populateCommentSearchQuestions,
+    setupCommentSearch
+};
@@ -0,0 +1,117 @@
+/**
+ * Cross-Filter Module - Filter the Dashboard from a Chart Bar
+ * Restricts every view to the respondents in one open-ended answer category, picked from a
+ * bar in a category chart. The chart the category came from keeps showing all its categories
+ * so it stays clear what was picked. The active cross-filter shows as a removable chip in the
+ * filter status bar.
+ */
+
+// Active cross-filter { questionId, questionText, column, category } or null
+let activeCrossFilter = null;
+
+/**
+ * Get the active cross-filter
+ * @returns {Object|null} { questionId, questionText, column, category } or null
+ */
+function getCrossFilter() {
+    return activeCrossFilter;
+}
+
+/**
+ * Find the open-ended question whose answers are categorized in a column
+ * @param {string} column - Category column, e.g. 'Q10_cat'
+ * @returns {Object|undefined} Question definition
+ */
+function findQuestionForCategoryColumn(column) {
+    return window.SchemaModule.getOpenEndedQuestions().find(question => question.categoryColumn === column);
+}
+
+/**
+ * Restrict the dashboard to the respondents in a category, replacing any earlier cross-filter
+ * @param {string} column - Category column of the chart the bar belongs to
+ * @param {string} category - Category name
+ */
+function setCrossFilter(column, category) {
+    const question = findQuestionForCategoryColumn(column);
+    if (!question) return;
+
+    activeCrossFilter = {
+        questionId: question.id,
+        questionText: question.text,
+        column,
+        category
+    };
+    window.StoreModule.dispatchViewChange();
+}
+
+/**
+ * Restrict the dashboard by question ID, e.g. when restoring a shared link.
+ * Questions the schema does not have are ignored.
+ * @param {string} questionId - Open-ended question ID
+ * @param {string} category - Category name
+ */
+function setCrossFilterForQuestion(questionId, category) {
+    const question = window.SchemaModule.getOpenEndedQuestions().find(item => item.id === questionId);
+    activeCrossFilter = question && category
+        ? { questionId, questionText: question.text, column: question.categoryColumn, category }
+        : null;
+}
+
+/**
+ * Remove the cross-filter
+ * @param {boolean} dispatchChange - Record the view straight away; callers that change more of the view record it themselves
+ */
+function clearCrossFilter(dispatchChange = true) {
+    if (!activeCrossFilter) return;
+
+    activeCrossFilter = null;
+    if (dispatchChange) {
+        window.StoreModule.dispatchViewChange();
+    }
+}
+
+/**
+ * Add the cross-filter to a filter spec for the survey worker
+ * @param {Object} spec - Filter spec
+ * @returns {Object} Spec with crossFilter { column, values } when a cross-filter is active
+ */
+function applyCrossFilterToSpec(spec) {
+    if (!activeCrossFilter) return spec;
+
+    return {
+        ...spec,
+        crossFilter: { column: activeCrossFilter.column, values: [activeCrossFilter.category] }
+    };
+}
+
+/**
+ * Show the active cross-filter as a removable chip
+ * @param {HTMLElement} container - Element to add the chip to
+ */
+function renderCrossFilterChip(container) {
+    if (!activeCrossFilter) return;
+
+    // Category names come from the data, so build the chip without innerHTML
+    const chip = document.createElement('sl-tag');
+    chip.className = 'cross-filter-chip';
+    chip.setAttribute('removable', '');
+    chip.setAttribute('pill', '');
+    chip.title = activeCrossFilter.questionText;
+    chip.textContent = `${activeCrossFilter.questionId}: ${activeCrossFilter.category}`;
+
+    chip.addEventListener('sl-remove', function () {
+        clearCrossFilter();
+    });
+
+    container.appendChild(chip);
+}
+
+// Export functions for use in other modules
+window.CrossFilterModule = {
+    getCrossFilter,
+    setCrossFilter,
+    setCrossFilterForQuestion,
+    clearCrossFilter,
+    applyCrossFilterToSpec,
+    renderCrossFilterChip
+};
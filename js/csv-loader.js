@@ -1,38 +1,90 @@
 /**
  * CSV Loader Module - Minimal CSV Data Loading
- * Loads CSV data for KPI calculations without displaying it
+ * Loads CSV data for KPI calculations without displaying it.
+ * Parsing happens in the survey worker, which keeps the rows; the page only gets what is derived from them.
  */
 
-let csvData = null;
 let isDataLoaded = false;
+let loadReport = null;
+let activeDataset = null;
+
+// Sources behind the active dataset as they were read, still encrypted if the file was.
+// Used to tell whether the bundled file has changed and to load the dataset into a replacement
+// survey worker, so no decrypted copy is kept on the page.
+let activeSources = [];
+
+// Survey waves present in the loaded data, oldest first
+let waveLabels = [];
+let selectedWave = null;
+
+// Dataset shipped with the site, used when the survey schema does not name one
+const DEFAULT_CSV_PATH = 'Data/SteelFab_Shop_Clean.csv';
+
+// Wave assigned to bundled rows without a wave column, unless the schema names one
+const DEFAULT_WAVE_LABEL = 'July 2025';
+
+// Optional column naming the survey wave of each row, unless the schema names another
+const DEFAULT_WAVE_COLUMN = 'Wave';
 
 /**
- * Load CSV data from file
- * @returns {Promise<Array>} Promise that resolves to array of data objects
+ * Load the survey schema if it has not been loaded yet.
+ * Every view is described by the schema, so data is never applied without it.
+ * @returns {Promise<Object>} Promise that resolves to the schema
  */
-async function loadCSVData() {
-    try {
-        const response = await fetch('Data/SteelFab_Shop_Clean.csv');
+async function ensureSchemaLoaded() {
+    return window.SchemaModule.getSchema() || window.SchemaModule.loadSchema();
+}
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+/**
+ * Read the modification date the server reports for a file
+ * @param {Response} response - Fetch response
+ * @returns {string|null} ISO date, or null when the server does not say
+ */
+function getLastModified(response) {
+    const header = response.headers ? response.headers.get('Last-Modified') : null;
+    const date = header ? new Date(header) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
 
-        const csvText = await response.text();
-        csvData = parseCSV(csvText);
-        isDataLoaded = true;
+/**
+ * Fetch the bundled CSV data file named by the survey schema. The file may be encrypted.
+ * @returns {Promise<Object>} Promise that resolves to { sources, datasetInfo } ready for openSources
+ */
+async function fetchBundledSources() {
+    await ensureSchemaLoaded();
 
-        // Store CSV data in DataModule for global access
-        if (window.DataModule) {
-            window.DataModule.csvData = csvData;
+    // The survey schema names the bundled dataset and its wave
+    const bundled = window.SchemaModule.getSchema()?.dataset || {};
+    const path = bundled.path || DEFAULT_CSV_PATH;
+    const response = await fetch(path);
 
-            // Build lookup tables for bidirectional filtering
-            if (window.DataModule.buildLookupTables) {
-                window.DataModule.buildLookupTables(csvData);
-            }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const csvText = await response.text();
+    const name = path.split('/').pop();
+
+    return {
+        sources: [{ name, text: csvText, waveLabel: bundled.wave || DEFAULT_WAVE_LABEL }],
+        datasetInfo: {
+            name,
+            source: 'bundled',
+            // The server's modification date says when the survey data was exported
+            asOf: getLastModified(response) || new Date().toISOString()
         }
+    };
+}
 
-        return csvData;
+/**
+ * Load the bundled CSV data file
+ * @returns {Promise<void>} Promise that resolves once the dataset is in use
+ */
+async function loadCSVData() {
+    try {
+        const { sources, datasetInfo } = await fetchBundledSources();
+        await openSources(sources, datasetInfo);
+        saveActiveDataset(sources, datasetInfo);
     } catch (error) {
         console.error('Error loading CSV data:', error);
         throw error;
@@ -40,107 +92,346 @@ async function loadCSVData() {
 }
 
 /**
- * Parse CSV text into array of objects
- * @param {string} csvText - Raw CSV text
- * @returns {Array} Array of objects with column headers as keys
+ * Load CSV data from one or more local files chosen by the user.
+ * Each file is treated as a survey wave unless its rows carry their own wave column.
+ * Files are read in the browser and never uploaded anywhere.
+ * @param {FileList|File[]} files - Files from a file input or drop event
+ * @returns {Promise<void>} Promise that resolves once the dataset is in use
  */
-function parseCSV(csvText) {
-    const lines = csvText.trim().split('\n');
-    if (lines.length < 2) return [];
+async function loadCSVFiles(files) {
+    const fileList = Array.from(files || []);
+    if (fileList.length === 0) {
+        throw new Error('No file selected');
+    }
+
+    await ensureSchemaLoaded();
+
+    const sources = await Promise.all(fileList.map(async file => ({
+        name: file.name,
+        text: await file.text(),
+        waveLabel: deriveWaveLabel(file.name)
+    })));
+
+    const datasetInfo = {
+        name: fileList.length === 1 ? fileList[0].name : `${fileList.length} files`,
+        source: 'local',
+        // The newest file decides how current the data is
+        asOf: new Date(Math.max(...fileList.map(file => file.lastModified || Date.now()))).toISOString()
+    };
 
-    const headers = parseCSVLine(lines[0]);
-    const data = [];
+    await openSources(sources, datasetInfo);
+    saveActiveDataset(sources, datasetInfo);
+}
+
+/**
+ * Decrypt any encrypted sources, asking the user for the passphrase
+ * @param {Array} sources - Array of { name, text, waveLabel }
+ * @returns {Promise<Array>} Promise that resolves to the sources with CSV text
+ */
+async function decryptSources(sources) {
+    const readableSources = [];
 
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        if (values.length === headers.length) {
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = values[index];
-            });
-            data.push(row);
+    // One at a time, so a passphrase entered for the first file is tried on the rest
+    for (const source of sources) {
+        if (window.DatasetCryptoModule.isEncryptedDataset(source.text)) {
+            const text = await window.DatasetUnlockModule.unlockDataset(source.text, source.name);
+            readableSources.push({ ...source, text });
+        } else {
+            readableSources.push(source);
         }
     }
 
-    return data;
+    return readableSources;
 }
 
 /**
- * Parse a single CSV line, handling quoted values with commas
- * @param {string} line - CSV line to parse
- * @returns {Array} Array of values
+ * Make sources the active dataset, decrypting them first if they are encrypted
+ * @param {Array} sources - Array of { name, text, waveLabel } as read from the files
+ * @param {Object} datasetInfo - Description of the dataset { name, source, asOf }
+ * @returns {Promise<void>} Promise that resolves once the dataset is in use
  */
-function parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
+async function openSources(sources, datasetInfo) {
+    await applyCSVSources(await decryptSources(sources), datasetInfo);
+    activeSources = sources;
+}
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+/**
+ * Keep the active dataset in IndexedDB for the next visit.
+ * Encrypted files are saved as they were read, so decrypted responses are never written to disk.
+ * Failing to save only costs the instant start, so it is not reported to the user.
+ * @param {Array} sources - Array of { name, text, waveLabel } as read from the files
+ * @param {Object} datasetInfo - Description of the dataset { name, source, asOf }
+ */
+function saveActiveDataset(sources, datasetInfo) {
+    window.DatasetCacheModule.saveDataset({ sources, datasetInfo }).catch(error => {
+        console.warn('Could not save the dataset for offline use:', error);
+    });
+}
 
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            values.push(current.trim());
-            current = '';
-        } else {
-            current += char;
+/**
+ * Open the dataset saved by the last visit, if there is one
+ * @returns {Promise<boolean>} Promise that resolves to true when a saved dataset was applied
+ */
+async function loadSavedDataset() {
+    let saved = null;
+    try {
+        saved = await window.DatasetCacheModule.loadDataset();
+    } catch (error) {
+        console.warn('Could not read the saved dataset:', error);
+    }
+
+    if (!saved) return false;
+
+    try {
+        await ensureSchemaLoaded();
+        await openSources(saved.sources, saved.datasetInfo);
+        return true;
+    } catch (error) {
+        // Fetching the bundled dataset again would only ask for the passphrase just declined
+        if (window.DatasetUnlockModule.isUnlockCancelledError(error) && saved.datasetInfo.source === 'bundled') {
+            throw error;
         }
+
+        // A saved copy that no longer fits the schema, or that was not unlocked, is replaced by the bundled dataset
+        console.warn('Could not open the saved dataset:', error);
+        return false;
+    }
+}
+
+/**
+ * Check the server for a newer bundled dataset after opening a saved copy.
+ * Local files the user chose are left alone, and when offline the saved copy stays in use.
+ * @returns {Promise<boolean>} Promise that resolves to true when a newer dataset was applied
+ */
+async function refreshBundledDataset() {
+    if (!activeDataset || activeDataset.source !== 'bundled') return false;
+
+    let latest;
+    try {
+        latest = await fetchBundledSources();
+    } catch (error) {
+        console.warn('Could not check for newer survey data:', error);
+        return false;
     }
 
-    values.push(current.trim());
-    return values;
+    if (latest.sources[0].text === activeSources[0].text) return false;
+
+    await openSources(latest.sources, latest.datasetInfo);
+    saveActiveDataset(latest.sources, latest.datasetInfo);
+    return true;
 }
 
 /**
- * Get the loaded CSV data
- * @returns {Array|null} The loaded CSV data or null if not loaded
+ * Derive a wave label from a file name, preferring a year if one is present
+ * @param {string} fileName - Name of the CSV file
+ * @returns {string} Wave label, e.g. "2024" for "SteelFab_Shop_2024.csv"
  */
-function getCSVData() {
-    return csvData;
+function deriveWaveLabel(fileName) {
+    const baseName = fileName.replace(/\.csv(\.enc)?$/i, '');
+    const yearMatch = baseName.match(/(?:19|20)\d{2}(?:[-_.]\d{1,2})?/);
+    return yearMatch ? yearMatch[0].replace(/[_.]/g, '-') : baseName;
 }
 
 /**
- * Check if data is loaded
- * @returns {boolean} True if data is loaded, false otherwise
+ * Build the survey engine configuration from the survey schema
+ * @returns {Object} Configuration sent to the survey worker with each dataset
  */
-function isCSVDataLoaded() {
-    return isDataLoaded;
+function buildEngineConfig() {
+    const schema = window.SchemaModule;
+
+    return {
+        likertQuestions: schema.getLikertQuestions(),
+        scales: schema.getSchema()?.scales || {},
+        scoreColumns: schema.getScoreColumns(),
+        questionGroups: schema.getQuestionGroups(),
+        categoryColumns: schema.getOpenEndedQuestions().map(question => question.categoryColumn),
+        // Every column a survey question is answered in, to find respondents who answered nothing
+        questionColumns: schema.getSchema().questions.flatMap(question =>
+            [question.answerColumn, question.scoreColumn, question.categoryColumn].filter(Boolean)),
+        roleColumn: schema.getRoleColumn(),
+        locationColumn: schema.getLocationColumn(),
+        waveColumn: schema.getSchema()?.dataset?.waveColumn || DEFAULT_WAVE_COLUMN,
+        minGroupSize: schema.getMinGroupSize(),
+        aliases: {
+            role: schema.getDisplayNameMapping('role').aliases,
+            location: schema.getDisplayNameMapping('location').aliases
+        },
+        displayNames: {
+            role: schema.getDisplayNameMapping('role').displayNames,
+            location: schema.getDisplayNameMapping('location').displayNames
+        }
+    };
 }
 
 /**
- * Filter data based on current filter settings
- * @param {Object} filters - Filter configuration
- * @returns {Array} Filtered data
+ * Create the payload of a survey worker load request
+ * @param {Array} sources - Array of { name, text, waveLabel } with CSV text
+ * @param {string} datasetName - Name used in the error when nothing could be read
+ * @returns {Object} { sources, datasetName, config }
  */
-function getFilteredData(filters) {
-    if (!csvData) return [];
+function createLoadPayload(sources, datasetName) {
+    return {
+        sources,
+        datasetName,
+        config: buildEngineConfig()
+    };
+}
 
-    let filteredData = [...csvData];
+/**
+ * Read the active dataset again for an engine replacing a survey worker that failed.
+ * Encrypted sources are decrypted again, normally with the passphrase entered this session.
+ * @returns {Promise<Object>} Promise that resolves to the load request payload
+ */
+async function reloadActiveSources() {
+    return createLoadPayload(await decryptSources(activeSources), activeDataset.name);
+}
 
-    // Apply role filter
-    if (filters.roleMode === 'compare' && filters.selectedRoles.length > 0) {
-        filteredData = filteredData.filter(row => {
-            return filters.selectedRoles.includes(row.Role);
-        });
+/**
+ * Parse one or more CSV sources in the survey worker and make them the active dataset.
+ * The rows stay in the worker; the page only keeps what the filters and reports need.
+ * @param {Array} sources - Array of { name, text, waveLabel }
+ * @param {Object} datasetInfo - Description of the dataset { name, source, asOf }
+ * @returns {Promise<void>} Promise that resolves once the dataset is in use
+ */
+async function applyCSVSources(sources, datasetInfo) {
+    // The worker keeps the current dataset if the new one has nothing usable in it
+    const result = await window.SurveyWorkerModule.request('load', createLoadPayload(sources, datasetInfo.name));
+
+    loadReport = result.report;
+    activeDataset = { ...datasetInfo, computedScoreColumns: result.computedScoreColumns };
+    isDataLoaded = true;
+
+    // Default to the most recent wave
+    waveLabels = result.waves;
+    selectedWave = waveLabels[waveLabels.length - 1];
+
+    // Build lookup tables for bidirectional filtering and the answer filter's categories
+    window.DataModule.buildLookupTables(result.pairs, result.categories);
+
+    // Surface any rejected rows to the user
+    updateLoadReportDisplay();
+
+    // Show which rows have inconsistent values
+    window.ValidationModule.showValidationReport(result.validation);
+}
+
+/**
+ * Get a description of the dataset currently in use
+ * @returns {Object|null} { name, source, asOf, computedScoreColumns } where source is 'bundled' or 'local'
+ */
+function getActiveDataset() {
+    return activeDataset;
+}
+
+/**
+ * Get all survey waves in the loaded data
+ * @returns {string[]} Wave labels, oldest first
+ */
+function getWaves() {
+    return waveLabels;
+}
+
+/**
+ * Get the wave currently being viewed
+ * @returns {string|null} Selected wave label
+ */
+function getSelectedWave() {
+    return selectedWave;
+}
+
+/**
+ * Choose which wave the dashboard shows
+ * @param {string} wave - Wave label
+ */
+function setSelectedWave(wave) {
+    if (waveLabels.includes(wave)) {
+        selectedWave = wave;
     }
+}
+
+/**
+ * Get the wave before the given one
+ * @param {string} wave - Wave label (defaults to the selected wave)
+ * @returns {string|null} Previous wave label or null if there is none
+ */
+function getPreviousWave(wave = selectedWave) {
+    const index = waveLabels.indexOf(wave);
+    return index > 0 ? waveLabels[index - 1] : null;
+}
+
+/**
+ * Get the report produced by the most recent CSV load
+ * @returns {Object|null} Load report or null if nothing has been loaded
+ */
+function getLoadReport() {
+    return loadReport;
+}
 
-    // Apply location filter
-    if (filters.locationMode === 'compare' && filters.selectedLocations.length > 0) {
-        filteredData = filteredData.filter(row => {
-            return filters.selectedLocations.includes(row.Location);
-        });
+/**
+ * Render the load report banner, listing any rows that were rejected
+ */
+function updateLoadReportDisplay() {
+    const container = document.getElementById('load-report');
+    if (!container) return;
+
+    if (!loadReport || loadReport.rejectedRows.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
     }
 
-    return filteredData;
+    const rejectedCount = loadReport.rejectedRows.length;
+    const rowWord = rejectedCount === 1 ? 'row' : 'rows';
+
+    const itemsHTML = loadReport.rejectedRows.map(() => `
+        <li class="load-report-item">
+            <span class="load-report-line"></span>
+            <span class="load-report-reason"></span>
+            <code class="load-report-raw"></code>
+        </li>
+    `).join('');
+
+    container.innerHTML = `
+        <sl-details summary="${loadReport.acceptedRows} of ${loadReport.totalRows} rows loaded. ${rejectedCount} ${rowWord} could not be read.">
+            <ul class="load-report-list">${itemsHTML}</ul>
+        </sl-details>
+    `;
+
+    // Row content comes from the file, so set it as text rather than HTML
+    const items = container.querySelectorAll('.load-report-item');
+    items.forEach((item, index) => {
+        const rejected = loadReport.rejectedRows[index];
+        item.querySelector('.load-report-line').textContent = `${rejected.file ? `${rejected.file}, ` : ''}Line ${rejected.line}`;
+        item.querySelector('.load-report-reason').textContent = rejected.reason;
+        item.querySelector('.load-report-raw').textContent = rejected.raw;
+    });
+
+    container.classList.remove('hidden');
+}
+
+/**
+ * Check if data is loaded
+ * @returns {boolean} True if data is loaded, false otherwise
+ */
+function isCSVDataLoaded() {
+    return isDataLoaded;
 }
 
 /**
  * Initialize CSV data loading
+ * @returns {Promise<boolean>} Promise that resolves to true when the dataset saved by the last visit was opened
  */
 async function initializeCSVLoader() {
+    window.SurveyWorkerModule.setDatasetReloader(reloadActiveSources);
+
     try {
+        // Open the dataset saved by the last visit straight away when there is one
+        if (await loadSavedDataset()) {
+            return true;
+        }
+
         await loadCSVData();
+        return false;
     } catch (error) {
         console.error('Error initializing CSV loader:', error);
         throw error;
@@ -150,8 +441,14 @@ async function initializeCSVLoader() {
 // Export functions for use in other modules
 window.CSVLoaderModule = {
     loadCSVData,
-    getCSVData,
+    loadCSVFiles,
     isCSVDataLoaded,
-    getFilteredData,
-    initializeCSVLoader
+    initializeCSVLoader,
+    refreshBundledDataset,
+    getLoadReport,
+    getActiveDataset,
+    getWaves,
+    getSelectedWave,
+    setSelectedWave,
+    getPreviousWave
 }; 
\ No newline at end of file
@@ -4,46 +4,120 @@
  */
 
 /**
- * Role options data with clean IDs mapped to CSV values
+ * Role and location options derived from the loaded data.
+ * Each option is { value, text, csvValue, unmapped } where value is a clean ID,
+ * text comes from the display-name mapping, and unmapped marks values the mapping does not cover.
  */
-const ROLE_OPTIONS = [
-    { value: 'crane-operator', text: 'Crane operator', csvValue: 'Crane operator' },
-    { value: 'detail-coordinator', text: 'Detail coordinator', csvValue: 'Detail coordinator' },
-    { value: 'fabrication-lead', text: 'Fabrication lead', csvValue: 'Fabrication lead' },
-    { value: 'fitter', text: 'Fitter', csvValue: 'Fitter' },
-    { value: 'forklift-operator', text: 'Forklift operator', csvValue: 'Forklift operator' },
-    { value: 'lead-person', text: 'Lead person', csvValue: 'Leadperson' },
-    { value: 'machine-operator', text: 'Machine operator', csvValue: 'Machine operator' },
-    { value: 'maintenance', text: 'Maintenance', csvValue: 'Maintenance' },
-    { value: 'other', text: 'Other', csvValue: 'Other' },
-    { value: 'painter', text: 'Painter', csvValue: 'Painter' },
-    { value: 'part-runner', text: 'Part runner', csvValue: 'Part runner' },
-    { value: 'programmer', text: 'Programmer', csvValue: 'Programmer' },
-    { value: 'quality-control', text: 'Quality control', csvValue: 'Quality control' },
-    { value: 'supervisor', text: 'Supervisor', csvValue: 'Supervisor' },
-    { value: 'welder', text: 'Welder', csvValue: 'Welder' },
-];
+let roleOptions = [];
+let locationOptions = [];
 
 /**
- * Location options data with clean IDs mapped to CSV values
+ * Get the role options found in the loaded data
+ * @returns {Array} Array of { value, text, csvValue, unmapped }
  */
-const LOCATION_OPTIONS = [
-    { value: 'baltimore-md', text: 'Baltimore, MD', csvValue: 'Maryland - Baltimore Shop' },
-    { value: 'chandler-az', text: 'Chandler, AZ', csvValue: 'Arizona - Chandler Shop' },
-    { value: 'charlotte-nc', text: 'Charlotte, NC', csvValue: 'North Carolina - Charlotte Shop' },
-    { value: 'dublin-ga', text: 'Dublin, GA', csvValue: 'Georgia - Dublin Shop' },
-    { value: 'durant-ok', text: 'Durant, OK', csvValue: 'Oklahoma - Durant Shop' },
-    { value: 'emporia-va', text: 'Emporia, VA', csvValue: 'Virginia - Emporia Shop' },
-    { value: 'fayetteville-nc', text: 'Fayetteville, NC', csvValue: 'North Carolina - Fayetteville Shop' },
-    { value: 'florence-sc', text: 'Florence, SC', csvValue: 'South Carolina - Florence Shop' },
-    { value: 'oakwood-tx', text: 'Oakwood, TX', csvValue: 'Texas - Oakwood Shop' },
-    { value: 'roanoke-al', text: 'Roanoke, AL', csvValue: 'Alabama - Roanoke Shop' },
-    { value: 'rock-hill-sc', text: 'Rock Hill, SC', csvValue: 'South Carolina - Rock Hill Shop' },
-    { value: 'spokane-wa', text: 'Spokane, WA', csvValue: 'Washington - Spokane Shop' },
-    { value: 'tangent-or', text: 'Tangent, OR', csvValue: 'Oregon - Tangent Shop' },
-    { value: 'york-pa', text: 'York, PA', csvValue: 'Pennsylvania - York Shop' },
-    { value: 'york-sc', text: 'York, SC', csvValue: 'South Carolina - York Shop' },
-];
+function getRoleOptions() {
+    return roleOptions;
+}
+
+/**
+ * Get the location options found in the loaded data
+ * @returns {Array} Array of { value, text, csvValue, unmapped }
+ */
+function getLocationOptions() {
+    return locationOptions;
+}
+
+/**
+ * Turn a display name into a clean ID, e.g. "Florence, SC" -> "florence-sc"
+ * @param {string} text - Display name
+ * @returns {string} Clean ID
+ */
+function slugify(text) {
+    return text.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build options for the distinct values of a demographic column
+ * @param {string[]} csvValues - Distinct CSV values found in the data
+ * @param {string} demographicId - 'role' or 'location'
+ * @returns {Array} Options sorted by display name
+ */
+function buildOptionsFromValues(csvValues, demographicId) {
+    const { displayNames } = window.SchemaModule.getDisplayNameMapping(demographicId);
+    const usedIds = new Set();
+
+    return csvValues
+        .map(csvValue => ({
+            text: displayNames[csvValue] || csvValue,
+            csvValue,
+            unmapped: !displayNames[csvValue]
+        }))
+        .sort((a, b) => a.text.localeCompare(b.text))
+        .map(option => {
+            // Keep IDs unique even if two values share a display name
+            const baseId = slugify(option.text) || 'option';
+            let id = baseId;
+            let suffix = 2;
+            while (usedIds.has(id)) {
+                id = `${baseId}-${suffix++}`;
+            }
+            usedIds.add(id);
+
+            return { value: id, ...option };
+        });
+}
+
+/**
+ * Create the HTML for a select option, marking values the display-name mapping does not cover
+ * @param {Object} option - Option { value, text, csvValue, unmapped }
+ * @param {boolean} includeCsvValue - Whether to store the CSV value on the option
+ * @returns {string} HTML string
+ */
+function createOptionHTML(option, includeCsvValue = true) {
+    const escape = window.UtilsModule.escapeHTML;
+    const csvAttribute = includeCsvValue ? ` data-csv-value="${escape(option.csvValue)}"` : '';
+    const unmappedMarker = option.unmapped ? '<span slot="suffix" class="option-unmapped">unmapped</span>' : '';
+
+    return `<sl-option value="${option.value}"${csvAttribute}>${escape(option.text)}${unmappedMarker}</sl-option>`;
+}
+
+/**
+ * Mark the options of a select whose groups would leave too few respondents in the selected wave
+ * to show results for. The survey worker withholds such results anyway; this only warns before
+ * picking, so the options are shown straight away and marked once the worker has counted them.
+ * @param {HTMLElement} selectElement - Select the options were just added to
+ * @param {Array} groups - Array of { value, spec } where spec is the option's filter spec (see SurveyCore.filterRows)
+ */
+async function markSmallGroupOptions(selectElement, groups) {
+    if (!window.CSVLoaderModule.isCSVDataLoaded()) return;
+
+    let tooSmall;
+    try {
+        // Repopulating the select makes the previous check stale
+        tooSmall = await window.SurveyWorkerModule.request('smallGroups', {
+            wave: window.CSVLoaderModule.getSelectedWave(),
+            specs: groups.map(group => group.spec)
+        }, `small-groups-${selectElement.id}`);
+    } catch (error) {
+        if (!window.SurveyWorkerModule.isStaleRequestError(error)) {
+            console.error('Error checking group sizes:', error);
+        }
+        return;
+    }
+
+    const optionElements = Array.from(selectElement.querySelectorAll('sl-option'));
+    groups.forEach((group, index) => {
+        if (!tooSmall[index]) return;
+
+        const optionElement = optionElements.find(element => element.getAttribute('value') === group.value);
+        if (optionElement) {
+            optionElement.insertAdjacentHTML('beforeend', '<span slot="suffix" class="option-small-group">too few responses</span>');
+        }
+    });
+}
 
 /**
  * Default values for dropdowns - Currently unused, selects start empty
@@ -60,24 +134,30 @@ let roleToLocations = {};
 let locationToRoles = {};
 
 /**
- * Build lookup tables from CSV data for bidirectional filtering
- * @param {Array} csvData - Array of survey response objects
+ * Categories found in each open-ended category column, as [category, count] pairs, most common first
+ */
+let answerCategories = {};
+
+/**
+ * Build lookup tables for bidirectional filtering from what the survey worker found in the data
+ * @param {Array} pairs - Array of [role, location] CSV value pairs that have respondents
+ * @param {Object} categories - Category columns mapped to their [category, count] pairs, most common first
  */
-function buildLookupTables(csvData) {
+function buildLookupTables(pairs, categories) {
     roleToLocations = {};
     locationToRoles = {};
+    roleOptions = [];
+    locationOptions = [];
+    answerCategories = categories || {};
 
-    if (!csvData || csvData.length === 0) {
+    if (!pairs || pairs.length === 0) {
+        window.RoleFamiliesModule.buildRoleFamilies([]);
+        window.LocationHierarchyModule.buildLocationHierarchy([]);
         return;
     }
 
     // Build the lookup tables
-    csvData.forEach(row => {
-        const role = row.Role; // Role is stored in 'Job_Role' column
-        const location = row.Location;
-
-        if (!role || !location) return;
-
+    pairs.forEach(([role, location]) => {
         // Build role -> locations mapping
         if (!roleToLocations[role]) {
             roleToLocations[role] = new Set();
@@ -100,17 +180,32 @@ function buildLookupTables(csvData) {
         locationToRoles[location] = Array.from(locationToRoles[location]);
     });
 
+    // Derive the filter options from the values actually present
+    roleOptions = buildOptionsFromValues(Object.keys(roleToLocations), 'role');
+    locationOptions = buildOptionsFromValues(Object.keys(locationToRoles), 'location');
+
+    // Group the roles into families and the locations into states and regions
+    window.RoleFamiliesModule.buildRoleFamilies(roleOptions);
+    window.LocationHierarchyModule.buildLocationHierarchy(locationOptions);
 }
 
 /**
  * Get available locations for selected roles
  * @param {Array} selectedRoles - Array of selected role CSV values
+ * @param {boolean} exclude - The roles are being left out rather than kept
  * @returns {Array} Array of available location CSV values
  */
-function getAvailableLocationsForRoles(selectedRoles) {
+function getAvailableLocationsForRoles(selectedRoles, exclude = false) {
     if (!selectedRoles || selectedRoles.length === 0) {
         // If no roles selected, show all locations
-        return LOCATION_OPTIONS.map(option => option.csvValue);
+        return getLocationOptions().map(option => option.csvValue);
+    }
+
+    if (exclude) {
+        // Any location where someone outside the excluded roles works
+        return Object.keys(locationToRoles).filter(location =>
+            locationToRoles[location].some(role => !selectedRoles.includes(role))
+        );
     }
 
     // Get intersection of locations for all selected roles
@@ -135,12 +230,20 @@ function getAvailableLocationsForRoles(selectedRoles) {
 /**
  * Get available roles for selected locations
  * @param {Array} selectedLocations - Array of selected location CSV values
+ * @param {boolean} exclude - The locations are being left out rather than kept
  * @returns {Array} Array of available role CSV values
  */
-function getAvailableRolesForLocations(selectedLocations) {
+function getAvailableRolesForLocations(selectedLocations, exclude = false) {
     if (!selectedLocations || selectedLocations.length === 0) {
         // If no locations selected, show all roles
-        return ROLE_OPTIONS.map(option => option.csvValue);
+        return getRoleOptions().map(option => option.csvValue);
+    }
+
+    if (exclude) {
+        // Any role found outside the excluded locations
+        return Object.keys(roleToLocations).filter(role =>
+            roleToLocations[role].some(location => !selectedLocations.includes(location))
+        );
     }
 
     // Get intersection of roles for all selected locations
@@ -175,53 +278,86 @@ function clearSelectOptions(selectElement) {
  * Populate role select with comparison options
  * @param {HTMLElement} selectElement - The role select element
  * @param {Array} selectedLocations - Array of selected location CSV values for filtering
+ * @param {boolean} excludeLocations - The locations are being left out rather than kept
  */
-function populateRoleOptions(selectElement, selectedLocations = []) {
+function populateRoleOptions(selectElement, selectedLocations = [], excludeLocations = false) {
     // Get available roles based on selected locations
-    const availableRoleCsvValues = getAvailableRolesForLocations(selectedLocations);
+    const availableRoleCsvValues = getAvailableRolesForLocations(selectedLocations, excludeLocations);
 
-    // Filter ROLE_OPTIONS to only include available roles
-    const filteredRoleOptions = ROLE_OPTIONS.filter(option =>
-        availableRoleCsvValues.includes(option.csvValue)
-    );
+    // Filter role options to only include available roles
+    const filteredRoleOptions = getRoleOptions()
+        .filter(option => availableRoleCsvValues.includes(option.csvValue));
 
     // Create options HTML string
-    const optionsHTML = filteredRoleOptions.map(option =>
-        `<sl-option value="${option.value}" data-csv-value="${option.csvValue}">${option.text}</sl-option>`
-    ).join('');
+    const optionsHTML = filteredRoleOptions.map(option => createOptionHTML(option)).join('');
 
     // Set innerHTML and let Shoelace handle the initialization
-    selectElement.innerHTML = optionsHTML;
+    selectElement.innerHTML = createGroupOptionsHTML(window.RoleFamiliesModule.getFamilyGroups(),
+        availableRoleCsvValues, { heading: 'Families', itemHeading: 'Roles', unit: 'role' }) + optionsHTML;
 
     if (filteredRoleOptions.length === 0) {
         selectElement.innerHTML = '<sl-option value="" disabled>No roles available for selected locations</sl-option>';
     }
+
+    // Warn about roles with too few respondents at the selected locations
+    const locationSpec = excludeLocations ? { excludeLocations: selectedLocations } : { locations: selectedLocations };
+    markSmallGroupOptions(selectElement, filteredRoleOptions.map(option => ({
+        value: option.value,
+        spec: { roles: [option.csvValue], ...locationSpec }
+    })));
+}
+
+/**
+ * Create the HTML for group options (role families or regions) at the top of a filter select.
+ * Picking a group selects its members, so group options carry no CSV value of their own.
+ * @param {Array} groups - Groups { value, text, csvValues }
+ * @param {string[]} availableCsvValues - Values that can be picked
+ * @param {Object} labels - { heading, itemHeading, unit }, e.g. { heading: 'Regions', itemHeading: 'Shops', unit: 'shop' }
+ * @returns {string} HTML string, empty when there are fewer than two groups to offer
+ */
+function createGroupOptionsHTML(groups, availableCsvValues, labels) {
+    const offeredGroups = groups
+        .map(group => ({
+            ...group,
+            available: group.csvValues.filter(csvValue => availableCsvValues.includes(csvValue))
+        }))
+        .filter(group => group.available.length > 0);
+
+    if (offeredGroups.length < 2) return '';
+
+    const escape = window.UtilsModule.escapeHTML;
+    const groupOptions = offeredGroups.map(group => {
+        const count = `${group.available.length} ${labels.unit}${group.available.length === 1 ? '' : 's'}`;
+        return `<sl-option value="${group.value}" class="group-option">${escape(group.text)}` +
+            `<span slot="suffix" class="option-group-count">${count}</span></sl-option>`;
+    }).join('');
+
+    return `<small>${labels.heading}</small>${groupOptions}<sl-divider></sl-divider><small>${labels.itemHeading}</small>`;
 }
 
 /**
  * Populate location select with comparison options
  * @param {HTMLElement} selectElement - The location select element
  * @param {Array} selectedRoles - Array of selected role CSV values for filtering
+ * @param {boolean} excludeRoles - The roles are being left out rather than kept
  */
-function populateLocationOptions(selectElement, selectedRoles = []) {
+function populateLocationOptions(selectElement, selectedRoles = [], excludeRoles = false) {
     // Preserve any existing HTML default value before populating options
     const existingValue = selectElement.value || selectElement.getAttribute('value');
 
     // Get available locations based on selected roles
-    const availableLocationCsvValues = getAvailableLocationsForRoles(selectedRoles);
+    const availableLocationCsvValues = getAvailableLocationsForRoles(selectedRoles, excludeRoles);
 
-    // Filter LOCATION_OPTIONS to only include available locations
-    const filteredLocationOptions = LOCATION_OPTIONS.filter(option =>
-        availableLocationCsvValues.includes(option.csvValue)
-    );
+    // Filter location options to only include available locations
+    const filteredLocationOptions = getLocationOptions()
+        .filter(option => availableLocationCsvValues.includes(option.csvValue));
 
     // Create options HTML string
-    const optionsHTML = filteredLocationOptions.map(option =>
-        `<sl-option value="${option.value}" data-csv-value="${option.csvValue}">${option.text}</sl-option>`
-    ).join('');
+    const optionsHTML = filteredLocationOptions.map(option => createOptionHTML(option)).join('');
 
     // Set innerHTML and let Shoelace handle the initialization
-    selectElement.innerHTML = optionsHTML;
+    selectElement.innerHTML = createGroupOptionsHTML(window.LocationHierarchyModule.getRegionGroups(),
+        availableLocationCsvValues, { heading: 'Regions', itemHeading: 'Shops', unit: 'shop' }) + optionsHTML;
 
     if (filteredLocationOptions.length === 0) {
         selectElement.innerHTML = '<sl-option value="" disabled>No locations available for selected roles</sl-option>';
@@ -230,72 +366,257 @@ function populateLocationOptions(selectElement, selectedRoles = []) {
         if (existingValue) {
             const isValueAvailable = filteredLocationOptions.some(option => option.value === existingValue);
             if (isValueAvailable) {
-                // Use setTimeout to ensure Shoelace has processed the new options
-                setTimeout(() => {
-                    selectElement.value = [existingValue];
-                }, 50);
+                selectElement.value = [existingValue];
             }
         }
     }
+
+    // Warn about locations with too few respondents in the selected roles
+    const roleSpec = excludeRoles ? { excludeRoles: selectedRoles } : { roles: selectedRoles };
+    markSmallGroupOptions(selectElement, filteredLocationOptions.map(option => ({
+        value: option.value,
+        spec: { locations: [option.csvValue], ...roleSpec }
+    })));
 }
 
 /**
- * Get filtered data based on current filter settings
- * @returns {Array} Filtered CSV data
+ * Populate the roles, locations, role × location and segment comparison selects with every option found in the data
  */
-function getFilteredData() {
-    if (!window.DataModule.csvData) return [];
-
-    // Get current filter state
-    const filters = window.FiltersModule?.getCurrentFilterState() || {
-        roleMode: 'all',
-        locationMode: 'all',
-        selectedRoles: [],
-        selectedLocations: []
-    };
-
-    let filteredData = [...window.DataModule.csvData];
-
-    // Apply role filter
-    if (filters.roleMode === 'compare' && filters.selectedRoles.length > 0) {
-        const roleCSVValues = filters.selectedRoles.map(roleValue => {
-            const roleOption = ROLE_OPTIONS.find(option => option.value === roleValue);
-            return roleOption ? roleOption.csvValue : null;
-        }).filter(Boolean);
-
-        filteredData = filteredData.filter(row => {
-            return roleCSVValues.includes(row.Role);
-        });
+function populateComparisonOptions() {
+    const rolesSelect = document.getElementById('roles-comparison-select');
+    const locationsSelect = document.getElementById('locations-comparison-select');
+    const cellsSelect = document.getElementById('cells-comparison-select');
+
+    if (rolesSelect) {
+        populateComparisonSelectOptions(rolesSelect, 'roles');
     }
 
-    // Apply location filter
-    if (filters.locationMode === 'compare' && filters.selectedLocations.length > 0) {
-        const locationCSVValues = filters.selectedLocations.map(locationValue => {
-            const locationOption = LOCATION_OPTIONS.find(option => option.value === locationValue);
-            return locationOption ? locationOption.csvValue : null;
-        }).filter(Boolean);
+    if (locationsSelect) {
+        populateComparisonSelectOptions(locationsSelect, 'location');
+    }
 
-        filteredData = filteredData.filter(row => {
-            return locationCSVValues.includes(row.Location);
+    if (cellsSelect) {
+        populateComparisonSelectOptions(cellsSelect, 'cells');
+    }
+
+    // Segments are described by the roles, locations and answers of the loaded data
+    window.SegmentsModule.renderSegments();
+
+    // Comparing families needs role families, and states or regions a location hierarchy
+    const roleLevelContent = document.getElementById('role-level-content');
+    if (roleLevelContent) {
+        roleLevelContent.classList.toggle('hidden', !window.RoleFamiliesModule.hasRoleFamilies());
+    }
+
+    const locationLevelContent = document.getElementById('location-level-content');
+    if (locationLevelContent) {
+        locationLevelContent.classList.toggle('hidden', !window.LocationHierarchyModule.hasLocationHierarchy());
+    }
+}
+
+/**
+ * Levels each comparison mode can compare at, finest first
+ */
+const COMPARISON_LEVELS = {
+    roles: ['role', 'family'],
+    location: ['shop', 'state', 'region']
+};
+
+/**
+ * Check a comparison level, falling back to the finest level of the mode
+ * @param {string} mode - Comparison mode
+ * @param {string} level - Level to check
+ * @returns {string|null} The level, the finest level when it is not one of the mode's, or null for modes without levels
+ */
+function normalizeComparisonLevel(mode, level) {
+    const levels = COMPARISON_LEVELS[mode];
+    if (!levels) return null;
+
+    return levels.includes(level) ? level : levels[0];
+}
+
+/**
+ * Get the level a comparison mode compares at, as picked in the drawer
+ * @param {string} mode - Comparison mode
+ * @returns {string|null} 'role' or 'family' for roles, 'shop', 'state' or 'region' for locations, null for other modes
+ */
+function getComparisonLevel(mode) {
+    if (!COMPARISON_LEVELS[mode]) return null;
+
+    const levelRadioGroup = document.getElementById(mode === 'roles' ? 'role-level-radio-group' : 'location-level-radio-group');
+    const isGrouped = mode === 'roles'
+        ? window.RoleFamiliesModule.hasRoleFamilies()
+        : window.LocationHierarchyModule.hasLocationHierarchy();
+
+    return normalizeComparisonLevel(mode, isGrouped && levelRadioGroup ? levelRadioGroup.value : null);
+}
+
+/**
+ * Get the role and location pairs that have respondents, e.g. "Welder at Chandler, AZ"
+ * @returns {Array} Array of { value, text, roleText, roleCsvValue, locationCsvValue } sorted by role, then location
+ */
+function getCellOptions() {
+    const cells = [];
+
+    roleOptions.forEach(role => {
+        const locations = roleToLocations[role.csvValue] || [];
+        locationOptions
+            .filter(location => locations.includes(location.csvValue))
+            .forEach(location => {
+                cells.push({
+                    // Option IDs never contain '--', so it safely joins the two
+                    value: `${role.value}--${location.value}`,
+                    text: `${role.text} at ${location.text}`,
+                    roleText: role.text,
+                    roleCsvValue: role.csvValue,
+                    locationCsvValue: location.csvValue
+                });
+            });
+    });
+
+    return cells;
+}
+
+/**
+ * Get the options a comparison mode offers at its current level
+ * @param {string} mode - 'roles', 'location', 'cells' or 'segments'
+ * @returns {Array} Array of { value, text, csvValues }, cells from getCellOptions() or
+ *                  segments from SegmentsModule.getSegmentOptions()
+ */
+function getComparisonOptions(mode) {
+    if (mode === 'cells') {
+        return getCellOptions();
+    }
+
+    if (mode === 'segments') {
+        return window.SegmentsModule.getSegmentOptions();
+    }
+
+    return mode === 'roles'
+        ? window.RoleFamiliesModule.getRoleLevelOptions(getComparisonLevel(mode))
+        : window.LocationHierarchyModule.getLocationLevelOptions(getComparisonLevel(mode));
+}
+
+/**
+ * Populate a comparison select with the roles, families, shops, states, regions, pairs or segments to compare
+ * @param {HTMLElement} selectElement - The comparison select
+ * @param {string} mode - 'roles', 'location', 'cells' or 'segments'
+ */
+function populateComparisonSelectOptions(selectElement, mode) {
+    const options = getComparisonOptions(mode);
+
+    if (mode === 'cells') {
+        // Head each role's pairs with the role so the long list is easy to scan
+        const escape = window.UtilsModule.escapeHTML;
+        selectElement.innerHTML = options.map((option, index) => {
+            const heading = index === 0 || options[index - 1].roleText !== option.roleText
+                ? `<small>${escape(option.roleText)}</small>`
+                : '';
+            return heading + createOptionHTML(option, false);
+        }).join('');
+    } else {
+        selectElement.innerHTML = options.map(option => createOptionHTML(option, false)).join('');
+    }
+
+    markSmallGroupOptions(selectElement, options.map(option => ({
+        value: option.value,
+        spec: window.AnalysisModule.getComparisonOptionSpec(mode, option)
+    })));
+}
+
+/**
+ * Get the questions respondents can be filtered by: Likert questions and categorized open-ended ones
+ * @returns {Array} Question definitions in survey order
+ */
+function getAnswerFilterQuestions() {
+    const schema = window.SchemaModule.getSchema();
+    return schema ? schema.questions.filter(question =>
+        question.type === 'likert' || (question.type === 'open-ended' && question.categoryColumn)) : [];
+}
+
+/**
+ * Get the answers a question can be filtered by.
+ * Likert answers match on their score, so files with scores computed from answer text work too;
+ * open-ended answers match on the categories found in the data, most common first.
+ * @param {string} questionId - Question ID, e.g. 'Q4'
+ * @returns {Object} { question, column, options } where options are { value, text, csvValue }
+ */
+function getAnswerFilterOptions(questionId) {
+    const question = getAnswerFilterQuestions().find(item => item.id === questionId);
+    if (!question) {
+        return { question: null, column: null, options: [] };
+    }
+
+    if (question.type === 'likert') {
+        const scale = window.SchemaModule.getScale(question.scale);
+        const options = Object.keys(scale ? scale.labels : {}).map(label => {
+            const score = window.SchemaModule.scoreAnswer(question, label);
+            return { value: `score-${score}`, text: label, csvValue: score };
         });
+        return { question, column: question.scoreColumn, options };
     }
 
-    return filteredData;
+    const categories = answerCategories[question.categoryColumn] || [];
+    const usedIds = new Set();
+    const options = categories.map(([category]) => {
+        // Keep IDs unique even if two categories share a slug
+        const baseId = slugify(category) || 'category';
+        let id = baseId;
+        let suffix = 2;
+        while (usedIds.has(id)) {
+            id = `${baseId}-${suffix++}`;
+        }
+        usedIds.add(id);
+
+        return { value: id, text: category, csvValue: category };
+    });
+    return { question, column: question.categoryColumn, options };
+}
+
+/**
+ * Populate the answer filter's question select
+ * @param {HTMLElement} selectElement - The question select element
+ */
+function populateAnswerQuestionOptions(selectElement) {
+    const escape = window.UtilsModule.escapeHTML;
+    selectElement.innerHTML = getAnswerFilterQuestions().map(question =>
+        `<sl-option value="${escape(question.id)}">${escape(question.id)}: ${escape(question.text)}</sl-option>`
+    ).join('');
+}
+
+/**
+ * Populate the answer filter's answer select for a question
+ * @param {HTMLElement} selectElement - The answer select element
+ * @param {string} questionId - Question ID
+ */
+function populateAnswerValueOptions(selectElement, questionId) {
+    const { options } = getAnswerFilterOptions(questionId);
+    selectElement.innerHTML = options.map(option => createOptionHTML(option, false)).join('');
+
+    if (options.length === 0) {
+        selectElement.innerHTML = '<sl-option value="" disabled>No answers available for this question</sl-option>';
+    }
 }
 
 // Export functions for use in other modules
 window.DataModule = {
-    ROLE_OPTIONS,
-    LOCATION_OPTIONS,
+    getRoleOptions,
+    getLocationOptions,
+    slugify,
     DEFAULT_VALUES,
     populateRoleOptions,
     populateLocationOptions,
+    populateComparisonOptions,
+    populateComparisonSelectOptions,
+    normalizeComparisonLevel,
+    getComparisonLevel,
+    getComparisonOptions,
+    getAnswerFilterQuestions,
+    getAnswerFilterOptions,
+    populateAnswerQuestionOptions,
+    populateAnswerValueOptions,
     clearSelectOptions,
     buildLookupTables,
     getAvailableLocationsForRoles,
-    getAvailableRolesForLocations,
-    getFilteredData,
-    csvData: null, // Will be set when CSV loads
-    ROLE_OPTIONS,
-    LOCATION_OPTIONS
+    getAvailableRolesForLocations
 }; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Dataset Cache Module - Offline Dataset Storage
+ * Keeps the last loaded dataset in IndexedDB so the dashboard opens instantly
+ * and keeps working without a network connection.
+ */
+
+const DATASET_DB_NAME = 'steelfab-survey';
+const DATASET_DB_VERSION = 1;
+const DATASET_STORE = 'datasets';
+
+// Only the active dataset is kept; loading another one replaces it
+const ACTIVE_DATASET_KEY = 'active';
+
+/**
+ * Open the dataset database, creating its object store on first use
+ * @returns {Promise<IDBDatabase>} Promise that resolves to the open database
+ */
+function openDatasetDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DATASET_DB_NAME, DATASET_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DATASET_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a single request against the dataset store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Function receiving the object store and returning an IDBRequest
+ * @returns {Promise<*>} Promise that resolves to the request's result once the transaction completes
+ */
+async function runDatasetRequest(mode, createRequest) {
+    const database = await openDatasetDatabase();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction(DATASET_STORE, mode);
+            const request = createRequest(transaction.objectStore(DATASET_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Save the active dataset
+ * @param {Object} record - { sources: Array<{name, text, waveLabel}>, datasetInfo: { name, source, asOf } }
+ * @returns {Promise<void>} Promise that resolves once the dataset is stored
+ */
+async function saveDataset(record) {
+    await runDatasetRequest('readwrite', store => store.put({
+        ...record,
+        savedAt: new Date().toISOString()
+    }, ACTIVE_DATASET_KEY));
+}
+
+/**
+ * Load the dataset saved by the last session
+ * @returns {Promise<Object|null>} Promise that resolves to { sources, datasetInfo, savedAt } or null if nothing is saved
+ */
+async function loadDataset() {
+    const record = await runDatasetRequest('readonly', store => store.get(ACTIVE_DATASET_KEY));
+    return record || null;
+}
+
+// Export functions for use in other modules
+window.DatasetCacheModule = {
+    saveDataset,
+    loadDataset
+};
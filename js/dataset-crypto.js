@@ -0,0 +1,210 @@
+/**
+ * Dataset Crypto Module - Encrypted Survey Data
+ * Reads and writes survey exports encrypted with AES-GCM under a key derived from a
+ * passphrase with PBKDF2, so the bundled dataset can be published without exposing
+ * individual comments. Everything runs through WebCrypto; the passphrase never leaves the browser.
+ *
+ * scripts/encrypt-dataset.js loads this file to produce encrypted files, so the page and
+ * the script always agree on the format.
+ */
+
+// Marks a file as an encrypted survey dataset rather than a CSV
+const ENCRYPTED_DATASET_FORMAT = 'steelfab-survey-encrypted';
+const ENCRYPTED_DATASET_VERSION = 1;
+
+// PBKDF2 work factor for new files; existing files carry their own count
+const DEFAULT_PBKDF2_ITERATIONS = 600000;
+// Higher counts in a file would hang the browser deriving the key, so such files are refused
+const MAX_PBKDF2_ITERATIONS = DEFAULT_PBKDF2_ITERATIONS * 10;
+const PBKDF2_SALT_BYTES = 16;
+const AES_GCM_IV_BYTES = 12;
+
+/**
+ * Create the error thrown when a passphrase does not decrypt a dataset
+ * @returns {Error} Error named 'WrongPassphraseError'
+ */
+function createWrongPassphraseError() {
+    const error = new Error('The passphrase is incorrect, or the encrypted file has been altered');
+    error.name = 'WrongPassphraseError';
+    return error;
+}
+
+/**
+ * Check whether a decryption failed because of the passphrase
+ * @param {Error} error - Rejection reason from decryptDataset()
+ * @returns {boolean} True when another passphrase might work
+ */
+function isWrongPassphraseError(error) {
+    return !!error && error.name === 'WrongPassphraseError';
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+    // Build the binary string in chunks so large files do not overflow the argument list
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 text to bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Read the envelope of an encrypted dataset file
+ * @param {string} text - File contents
+ * @returns {Object|null} { kdf: { iterations, salt }, cipher: { iv }, data } or null if the text is not an encrypted dataset
+ */
+function parseEncryptedDataset(text) {
+    // CSV exports never start with a brace, so only try JSON when they do
+    if (typeof text !== 'string' || text.trimStart()[0] !== '{') return null;
+
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+
+    if (!envelope || envelope.format !== ENCRYPTED_DATASET_FORMAT) return null;
+
+    if (envelope.version !== ENCRYPTED_DATASET_VERSION) {
+        throw new Error(`Encrypted dataset version ${envelope.version} is not supported`);
+    }
+    if (!envelope.kdf || !envelope.kdf.salt || !(envelope.kdf.iterations > 0) ||
+        envelope.kdf.iterations > MAX_PBKDF2_ITERATIONS ||
+        !envelope.cipher || !envelope.cipher.iv || typeof envelope.data !== 'string') {
+        throw new Error('The encrypted dataset file is incomplete');
+    }
+
+    return envelope;
+}
+
+/**
+ * Check whether file contents are an encrypted dataset
+ * @param {string} text - File contents
+ * @returns {boolean} True for encrypted datasets
+ */
+function isEncryptedDataset(text) {
+    try {
+        return parseEncryptedDataset(text) !== null;
+    } catch (error) {
+        // Unsupported or incomplete envelopes are still encrypted; decryptDataset reports why
+        return true;
+    }
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase - Passphrase entered by the user
+ * @param {Uint8Array} salt - PBKDF2 salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @param {string[]} usages - 'encrypt' and/or 'decrypt'
+ * @returns {Promise<CryptoKey>} Promise that resolves to a 256-bit AES-GCM key
+ */
+async function deriveDatasetKey(passphrase, salt, iterations, usages) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        usages
+    );
+}
+
+/**
+ * Decrypt an encrypted dataset file
+ * @param {string} text - Encrypted file contents
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<string>} Promise that resolves to the CSV text, or rejects with a WrongPassphraseError
+ */
+async function decryptDataset(text, passphrase) {
+    const envelope = parseEncryptedDataset(text);
+    if (!envelope) {
+        throw new Error('The file is not an encrypted survey dataset');
+    }
+
+    const key = await deriveDatasetKey(
+        passphrase,
+        base64ToBytes(envelope.kdf.salt),
+        envelope.kdf.iterations,
+        ['decrypt']
+    );
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) },
+            key,
+            base64ToBytes(envelope.data)
+        );
+    } catch (error) {
+        // AES-GCM cannot tell a wrong key from a tampered file; both fail authentication
+        throw createWrongPassphraseError();
+    }
+
+    return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Encrypt CSV text as an encrypted dataset file
+ * @param {string} csvText - CSV export to protect
+ * @param {string} passphrase - Passphrase readers will enter
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<string>} Promise that resolves to the encrypted file contents
+ */
+async function encryptDataset(csvText, passphrase, iterations = DEFAULT_PBKDF2_ITERATIONS) {
+    if (!passphrase) {
+        throw new Error('A passphrase is required');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(PBKDF2_SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(AES_GCM_IV_BYTES));
+    const key = await deriveDatasetKey(passphrase, salt, iterations, ['encrypt']);
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(csvText)
+    );
+
+    return JSON.stringify({
+        format: ENCRYPTED_DATASET_FORMAT,
+        version: ENCRYPTED_DATASET_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: bytesToBase64(new Uint8Array(ciphertext))
+    }, null, 2) + '\n';
+}
+
+// Export functions for use in other modules
+window.DatasetCryptoModule = {
+    isEncryptedDataset,
+    decryptDataset,
+    encryptDataset,
+    isWrongPassphraseError
+};
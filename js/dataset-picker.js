@@ -0,0 +1,200 @@
+/**
+ * Dataset Picker Module - Local CSV Selection
+ * Lets users load survey exports from their own machine via a file picker or
+ * drag and drop. Files are read with the File API and never leave the browser.
+ */
+
+/**
+ * Update the header to show which dataset is active
+ */
+function updateActiveDatasetLabel() {
+    const nameElement = document.getElementById('dataset-source-name');
+    const resetButton = document.getElementById('dataset-reset-btn');
+    const dataset = window.CSVLoaderModule.getActiveDataset();
+
+    if (nameElement) {
+        nameElement.textContent = dataset ? dataset.name : 'None loaded';
+
+        // Note when scores were derived from raw answer text rather than read from the file
+        if (dataset && dataset.computedScoreColumns.length > 0) {
+            nameElement.textContent += ' (scores computed from answer text)';
+        }
+    }
+
+    updateDataAsOfStamp(dataset);
+
+    // Only offer to switch back when a local file is in use
+    if (resetButton) {
+        if (dataset && dataset.source === 'local') {
+            resetButton.classList.remove('hidden');
+        } else {
+            resetButton.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Show when the active dataset was produced, so an offline copy is not mistaken for live data
+ * @param {Object|null} dataset - Active dataset description
+ */
+function updateDataAsOfStamp(dataset) {
+    const stampElement = document.getElementById('dataset-as-of');
+    if (!stampElement) return;
+
+    if (dataset && dataset.asOf) {
+        const asOfDate = new Date(dataset.asOf).toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+        stampElement.textContent = `Data as of ${asOfDate}`;
+        stampElement.classList.remove('hidden');
+    } else {
+        stampElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Show or clear an error message under the dataset controls
+ * @param {string} message - Message to show, or empty string to clear
+ */
+function showDatasetError(message) {
+    const errorElement = document.getElementById('dataset-source-error');
+    if (!errorElement) return;
+
+    errorElement.textContent = message;
+    if (message) {
+        errorElement.classList.remove('hidden');
+    } else {
+        errorElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Tell the user a dataset could not be loaded. Declining to unlock an encrypted dataset keeps the
+ * one in use without a message; when none is loaded the locked screen offers other data instead.
+ * @param {Error} error - Rejection reason from the load
+ */
+function showDatasetLoadError(error) {
+    const unlock = window.DatasetUnlockModule;
+
+    if (!unlock.isUnlockCancelledError(error)) {
+        showDatasetError(error.message);
+    } else if (!window.CSVLoaderModule.isCSVDataLoaded()) {
+        unlock.showLockedScreen(
+            'Survey data is locked',
+            `${error.datasetName} is encrypted and was not unlocked, so no survey data has been loaded. ` +
+            'Use the bundled data or choose another file.',
+            false
+        );
+    }
+}
+
+/**
+ * Run a dataset load and refresh the dashboard when it succeeds
+ * @param {Function} loader - Function returning a promise that resolves once the dataset is loaded
+ */
+async function switchDataset(loader) {
+    try {
+        await loader();
+        showDatasetError('');
+        window.DatasetUnlockModule.hideLockedScreen();
+        updateActiveDatasetLabel();
+        window.AppModule.refreshDashboard();
+    } catch (error) {
+        console.error('Error switching dataset:', error);
+        showDatasetLoadError(error);
+    }
+}
+
+/**
+ * Load local CSV files as the active dataset. Several files are loaded as separate survey waves.
+ * @param {FileList|File[]} files - The files to load
+ */
+function loadLocalFiles(files) {
+    const fileList = Array.from(files || []);
+    if (fileList.length === 0) return;
+
+    // Encrypted exports keep their CSV name with .enc appended
+    const nonCsvFile = fileList.find(file => !/\.csv(\.enc)?$/i.test(file.name) && file.type !== 'text/csv');
+    if (nonCsvFile) {
+        showDatasetError(`${nonCsvFile.name} is not a CSV file`);
+        return;
+    }
+
+    switchDataset(() => window.CSVLoaderModule.loadCSVFiles(fileList));
+}
+
+/**
+ * Set up the file picker, drop target and reset button, and the same choices on the locked screen
+ */
+function setupDatasetPicker() {
+    const dropZone = document.getElementById('dataset-source');
+    const uploadButton = document.getElementById('dataset-upload-btn');
+    const resetButton = document.getElementById('dataset-reset-btn');
+    const fileInput = document.getElementById('dataset-file-input');
+
+    if (!dropZone || !uploadButton || !fileInput) {
+        console.warn('Could not set up dataset picker - missing elements');
+        return;
+    }
+
+    uploadButton.addEventListener('click', function () {
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', function () {
+        loadLocalFiles(fileInput.files);
+
+        // Allow the same file to be picked again after edits
+        fileInput.value = '';
+    });
+
+    if (resetButton) {
+        resetButton.addEventListener('click', function () {
+            switchDataset(() => window.CSVLoaderModule.loadCSVData());
+        });
+    }
+
+    // The locked screen hides the controls above, so it offers them itself
+    const lockedBundledButton = document.getElementById('dataset-locked-bundled-btn');
+    const lockedFileButton = document.getElementById('dataset-locked-file-btn');
+
+    if (lockedBundledButton) {
+        lockedBundledButton.addEventListener('click', function () {
+            switchDataset(() => window.CSVLoaderModule.loadCSVData());
+        });
+    }
+
+    if (lockedFileButton) {
+        lockedFileButton.addEventListener('click', function () {
+            fileInput.click();
+        });
+    }
+
+    // Drag and drop
+    ['dragenter', 'dragover'].forEach(eventName => {
+        dropZone.addEventListener(eventName, function (e) {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, function (e) {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+        });
+    });
+
+    dropZone.addEventListener('drop', function (e) {
+        loadLocalFiles(e.dataTransfer && e.dataTransfer.files);
+    });
+}
+
+// Export functions for use in other modules
+window.DatasetPickerModule = {
+    setupDatasetPicker,
+    updateActiveDatasetLabel,
+    showDatasetLoadError
+};
@@ -0,0 +1,195 @@
+/**
+ * Dataset Unlock Module - Passphrase Entry for Encrypted Datasets
+ * Asks for the passphrase of an encrypted dataset and, when it is wrong, replaces the dashboard
+ * with a locked screen instead of showing empty results. Not giving one keeps the data in use.
+ */
+
+// Passphrase that unlocked a dataset in this session, tried first when a newer copy arrives.
+// It is only kept in memory and never stored.
+let sessionPassphrase = null;
+
+/**
+ * Ask for a passphrase in the unlock dialog
+ * @param {string} datasetName - Name of the encrypted dataset
+ * @returns {Promise<string|null>} Promise that resolves to the passphrase, or null when the dialog is dismissed
+ */
+function promptForPassphrase(datasetName) {
+    const dialog = document.getElementById('dataset-passphrase-dialog');
+    const form = document.getElementById('dataset-passphrase-form');
+    const input = document.getElementById('dataset-passphrase-input');
+    const nameElement = document.getElementById('dataset-passphrase-name');
+
+    if (!dialog || !form || !input) {
+        return Promise.reject(new Error('Cannot ask for the dataset passphrase - missing elements'));
+    }
+
+    if (nameElement) {
+        nameElement.textContent = datasetName;
+    }
+    input.value = '';
+
+    return new Promise(resolve => {
+        let passphrase = null;
+
+        const handleSubmit = function (e) {
+            e.preventDefault();
+            if (!input.value) return;
+
+            passphrase = input.value;
+            dialog.hide();
+        };
+
+        const handleHide = function (e) {
+            // Ignore hide events bubbling up from components inside the dialog
+            if (e.target !== dialog) return;
+
+            form.removeEventListener('submit', handleSubmit);
+            dialog.removeEventListener('sl-hide', handleHide);
+            input.value = '';
+            resolve(passphrase);
+        };
+
+        form.addEventListener('submit', handleSubmit);
+        dialog.addEventListener('sl-hide', handleHide);
+        dialog.show();
+
+        // Focus once the dialog has opened
+        setTimeout(() => input.focus && input.focus(), 100);
+    });
+}
+
+/**
+ * Create the error thrown when the user does not unlock an encrypted dataset
+ * @param {string} datasetName - Name of the encrypted dataset
+ * @returns {Error} Error named 'UnlockCancelledError' with the dataset name
+ */
+function createUnlockCancelledError(datasetName) {
+    const error = new Error(`${datasetName} is encrypted and was not unlocked`);
+    error.name = 'UnlockCancelledError';
+    error.datasetName = datasetName;
+    return error;
+}
+
+/**
+ * Check whether a load failed because the user did not unlock the dataset
+ * @param {Error} error - Rejection reason from unlockDataset()
+ * @returns {boolean} True when the passphrase prompt was dismissed or another dataset was chosen
+ */
+function isUnlockCancelledError(error) {
+    return !!error && error.name === 'UnlockCancelledError';
+}
+
+/**
+ * Replace the dashboard with the locked screen. Its "Use bundled data" and "Choose another file"
+ * buttons are handled by the dataset picker.
+ * @param {string} title - Heading of the screen
+ * @param {string} message - Explanation shown under the heading
+ * @param {boolean} canRetry - Offer to enter the passphrase again
+ */
+function showLockedScreen(title, message, canRetry) {
+    const screen = document.getElementById('dataset-locked-screen');
+    if (!screen) return;
+
+    document.getElementById('dataset-locked-title').textContent = title;
+    document.getElementById('dataset-locked-message').textContent = message;
+    document.getElementById('dataset-locked-retry-btn').classList.toggle('hidden', !canRetry);
+    screen.classList.remove('hidden');
+    document.body.classList.add('dataset-locked');
+}
+
+/**
+ * Show the locked screen until the user picks one of its buttons
+ * @param {string} title - Heading of the screen
+ * @param {string} message - Explanation shown under the heading
+ * @returns {Promise<boolean>} Promise that resolves to true when the passphrase should be asked for again,
+ *   or false when the user chose the bundled data or another file instead
+ */
+function waitForRetry(title, message) {
+    const screen = document.getElementById('dataset-locked-screen');
+    if (!screen) {
+        return Promise.reject(new Error(message));
+    }
+
+    showLockedScreen(title, message, true);
+
+    return new Promise(resolve => {
+        const handleClick = function (e) {
+            const button = e.target.closest('sl-button');
+            if (!button) return;
+
+            screen.removeEventListener('click', handleClick);
+            resolve(button.id === 'dataset-locked-retry-btn');
+        };
+
+        screen.addEventListener('click', handleClick);
+    });
+}
+
+/**
+ * Hide the locked screen and show the dashboard again
+ */
+function hideLockedScreen() {
+    const screen = document.getElementById('dataset-locked-screen');
+    if (screen) {
+        screen.classList.add('hidden');
+    }
+    document.body.classList.remove('dataset-locked');
+}
+
+/**
+ * Decrypt an encrypted dataset, asking for the passphrase until it is right.
+ * Dismissing the prompt, or choosing other data on the locked screen, rejects with an
+ * UnlockCancelledError so the caller can keep the dataset it has.
+ * @param {string} text - Encrypted file contents
+ * @param {string} datasetName - Name shown in the dialog and the locked screen
+ * @returns {Promise<string>} Promise that resolves to the CSV text
+ */
+async function unlockDataset(text, datasetName) {
+    const datasetCrypto = window.DatasetCryptoModule;
+
+    // A newer copy of a dataset is usually encrypted with the same passphrase
+    if (sessionPassphrase) {
+        try {
+            return await datasetCrypto.decryptDataset(text, sessionPassphrase);
+        } catch (error) {
+            if (!datasetCrypto.isWrongPassphraseError(error)) throw error;
+        }
+    }
+
+    try {
+        while (true) {
+            const passphrase = await promptForPassphrase(datasetName);
+
+            if (passphrase === null) {
+                throw createUnlockCancelledError(datasetName);
+            }
+
+            try {
+                const csvText = await datasetCrypto.decryptDataset(text, passphrase);
+                sessionPassphrase = passphrase;
+                return csvText;
+            } catch (error) {
+                if (!datasetCrypto.isWrongPassphraseError(error)) throw error;
+
+                const retry = await waitForRetry(
+                    'Wrong passphrase',
+                    `${datasetName} could not be decrypted with that passphrase. ` +
+                    'Check the passphrase with whoever shared the dashboard and try again, or use other survey data.'
+                );
+                if (!retry) {
+                    throw createUnlockCancelledError(datasetName);
+                }
+            }
+        }
+    } finally {
+        hideLockedScreen();
+    }
+}
+
+// Export functions for use in other modules
+window.DatasetUnlockModule = {
+    unlockDataset,
+    isUnlockCancelledError,
+    showLockedScreen,
+    hideLockedScreen
+};
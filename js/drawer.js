@@ -86,7 +86,7 @@ function isDrawerCurrentlyOpen() {
 
 /**
  * Update the explanatory text based on the selected comparison mode
- * @param {string} mode - The mode to show explanation for ('baseline', 'roles', 'location')
+ * @param {string} mode - The mode to show explanation for ('baseline', 'roles', 'location', 'cells', 'segments')
  */
 function updateComparisonModeExplanation(mode) {
     const explanationText = document.getElementById('comparison-mode-explanation-text');
@@ -97,10 +97,20 @@ function updateComparisonModeExplanation(mode) {
                 explanationText.textContent = 'Compare company-wide SteelFab survey results to a smaller section of the company, filtered by roles or locations (or both).';
                 break;
             case 'roles':
-                explanationText.textContent = 'Compare up to 5 roles within SteelFab to each other.';
+                explanationText.textContent = window.RoleFamiliesModule.hasRoleFamilies()
+                    ? 'Compare roles or role families within SteelFab to each other.'
+                    : 'Compare roles within SteelFab to each other.';
                 break;
             case 'location':
-                explanationText.textContent = 'Compare up to 5 locations within SteelFab to each other.';
+                explanationText.textContent = window.LocationHierarchyModule.hasLocationHierarchy()
+                    ? 'Compare shops, states or regions within SteelFab to each other.'
+                    : 'Compare locations within SteelFab to each other.';
+                break;
+            case 'cells':
+                explanationText.textContent = 'Compare role and location pairs, such as Welders at one shop and Welders at another, to each other.';
+                break;
+            case 'segments':
+                explanationText.textContent = 'Define your own segments from roles, locations and answers, then compare them to each other.';
                 break;
             default:
                 console.warn('Unknown comparison mode for explanation:', mode);
@@ -112,17 +122,21 @@ function updateComparisonModeExplanation(mode) {
 
 /**
  * Show the specified comparison mode container and hide others
- * @param {string} mode - The mode to show ('baseline', 'roles', 'location')
+ * @param {string} mode - The mode to show ('baseline', 'roles', 'location', 'cells', 'segments')
  */
 function showComparisonMode(mode) {
     // Hide all mode containers
     const baselineContainer = document.getElementById('baseline-filters-container');
     const rolesContainer = document.getElementById('roles-mode-container');
     const locationContainer = document.getElementById('location-mode-container');
+    const cellsContainer = document.getElementById('cells-mode-container');
+    const segmentsContainer = document.getElementById('segments-mode-container');
 
     if (baselineContainer) baselineContainer.classList.add('hidden');
     if (rolesContainer) rolesContainer.classList.add('hidden');
     if (locationContainer) locationContainer.classList.add('hidden');
+    if (cellsContainer) cellsContainer.classList.add('hidden');
+    if (segmentsContainer) segmentsContainer.classList.add('hidden');
 
     // Show the selected mode container
     switch (mode) {
@@ -135,6 +149,12 @@ function showComparisonMode(mode) {
         case 'location':
             if (locationContainer) locationContainer.classList.remove('hidden');
             break;
+        case 'cells':
+            if (cellsContainer) cellsContainer.classList.remove('hidden');
+            break;
+        case 'segments':
+            if (segmentsContainer) segmentsContainer.classList.remove('hidden');
+            break;
         default:
             console.warn('Unknown comparison mode:', mode);
             // Default to baseline
@@ -146,109 +166,74 @@ function showComparisonMode(mode) {
 
     // Update the explanatory text
     updateComparisonModeExplanation(mode);
-
-    // Update KPI display when comparison mode changes
-    if (window.KPIModule) {
-        window.KPIModule.updateKPIDisplay();
-    }
-
-    // Update grouped averages table when comparison mode changes
-    if (window.updateGroupedAveragesTable) {
-        window.updateGroupedAveragesTable();
-    }
-
-    // Update charts when comparison mode changes
-    if (window.charts) {
-        window.charts.updateCharts();
-    }
 }
 
 /**
  * Set up comparison mode functionality
  */
 function setupComparisonModeToggle() {
-    // Use a small delay to ensure Shoelace components are ready
-    setTimeout(() => {
-        const comparisonModeRadioGroup = document.getElementById('comparison-mode-radio-group');
+    const comparisonModeRadioGroup = document.getElementById('comparison-mode-radio-group');
 
-        if (comparisonModeRadioGroup) {
-            comparisonModeRadioGroup.addEventListener('sl-change', function (e) {
-                const selectedMode = e.target.value;
-                showComparisonMode(selectedMode);
+    if (comparisonModeRadioGroup) {
+        comparisonModeRadioGroup.addEventListener('sl-change', function (e) {
+            const selectedMode = e.target.value;
+            showComparisonMode(selectedMode);
 
-                // Reset existing filters when switching modes
-                if (selectedMode !== 'baseline' && window.FiltersModule) {
-                    window.FiltersModule.resetFilters();
-                }
-            });
+            // Reset existing filters when switching modes
+            if (selectedMode !== 'baseline' && window.FiltersModule) {
+                window.FiltersModule.resetFilters(false);
+            }
 
-            // Initialize with default mode
-            showComparisonMode('baseline');
-        } else {
-            console.warn('Could not find comparison mode radio group');
-        }
+            window.StoreModule.dispatchViewChange();
+        });
+
+        // Start with the mode written into the HTML; a shared link switches it once the data is loaded
+        showComparisonMode(comparisonModeRadioGroup.getAttribute('value') || 'baseline');
+    } else {
+        console.warn('Could not find comparison mode radio group');
+    }
+
+    // Refresh the comparison whenever its picks change
+    setupComparisonSelects();
 
-        // Set up alert monitoring for comparison mode selects
-        setupComparisonModeAlerts();
-    }, 100);
+    // Set up comparing role families, states or regions
+    setupComparisonLevelToggle('role-level-radio-group', 'roles-comparison-select', 'roles');
+    setupComparisonLevelToggle('location-level-radio-group', 'locations-comparison-select', 'location');
 }
 
 /**
- * Set up alerts for comparison mode selects when more than 5 items are selected
+ * Set up the choice of level in a comparison mode: roles or families, or shops, states or regions
+ * @param {string} radioGroupId - ID of the level radio group
+ * @param {string} selectId - ID of the comparison select
+ * @param {string} mode - 'roles' or 'location'
  */
-function setupComparisonModeAlerts() {
-    const rolesSelect = document.getElementById('roles-comparison-select');
-    const locationsSelect = document.getElementById('locations-comparison-select');
+function setupComparisonLevelToggle(radioGroupId, selectId, mode) {
+    const levelRadioGroup = document.getElementById(radioGroupId);
+    const select = document.getElementById(selectId);
 
-    // Monitor roles select
-    if (rolesSelect) {
-        rolesSelect.addEventListener('sl-change', function (e) {
-            const selectedValues = e.target.value || [];
-            if (selectedValues.length > 5) {
-                window.alert('Please remove one or more roles! You can compare up to 5 roles at a time.');
-            }
+    if (!levelRadioGroup || !select) return;
 
-            // Update KPI display when roles selection changes
-            if (window.KPIModule) {
-                window.KPIModule.updateKPIDisplay();
-            }
+    levelRadioGroup.addEventListener('sl-change', function () {
+        // Picks at one level mean nothing at another, so start the comparison over
+        select.value = [];
+        window.DataModule.populateComparisonSelectOptions(select, mode);
 
-            // Update grouped averages table when roles selection changes
-            if (window.updateGroupedAveragesTable) {
-                window.updateGroupedAveragesTable();
-            }
-
-            // Update charts when roles selection changes
-            if (window.charts) {
-                window.charts.updateCharts();
-            }
-        });
-    }
-
-    // Monitor locations select
-    if (locationsSelect) {
-        locationsSelect.addEventListener('sl-change', function (e) {
-            const selectedValues = e.target.value || [];
-            if (selectedValues.length > 5) {
-                window.alert('Please remove one or more locations! You can compare up to 5 locations at a time.');
-            }
-
-            // Update KPI display when locations selection changes
-            if (window.KPIModule) {
-                window.KPIModule.updateKPIDisplay();
-            }
+        window.StoreModule.dispatchViewChange();
+    });
+}
 
-            // Update grouped averages table when locations selection changes
-            if (window.updateGroupedAveragesTable) {
-                window.updateGroupedAveragesTable();
-            }
+/**
+ * Record the view whenever the picks in a comparison select change
+ */
+function setupComparisonSelects() {
+    ['roles', 'location', 'cells', 'segments'].forEach(mode => {
+        const select = document.getElementById(window.AnalysisModule.getComparisonModeInfo(mode).selectId);
+        if (!select) return;
 
-            // Update charts when locations selection changes
-            if (window.charts) {
-                window.charts.updateCharts();
-            }
+        select.addEventListener('sl-change', function () {
+            window.StoreModule.dispatchViewChange();
         });
-    }
+    });
 }
 
 /**
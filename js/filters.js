@@ -3,28 +3,6 @@
  * Handles all filter interactions and state management
  */
 
-let radioFunctionalitySetup = false;
-
-/**
- * Helper function to update KPIs and Charts
- */
-function updateKPIsAndCharts() {
-    if (window.KPIModule) {
-        window.KPIModule.updateKPIDisplay();
-    }
-
-    // Update grouped averages table with current filter state
-    if (window.updateGroupedAveragesTable) {
-        const currentFilters = window.UtilsModule.getCurrentFiltersForCsv();
-        window.updateGroupedAveragesTable(currentFilters);
-    }
-
-    // Update charts with current filter state
-    if (window.charts) {
-        window.charts.updateCharts();
-    }
-}
-
 /**
  * Get selected CSV values from a multi-select element
  * @param {HTMLElement} selectElement - The select element
@@ -38,44 +16,86 @@ function getSelectedCsvValues(selectElement) {
     }).filter(Boolean);
 }
 
+/**
+ * Replace any groups picked in a filter select, such as a region, with the options they cover
+ * @param {HTMLElement} selectElement - The role or location select element
+ * @param {Function} findGroup - Finds a group { csvValues } by its option ID
+ */
+function expandPickedGroups(selectElement, findGroup) {
+    const picked = Array.isArray(selectElement.value) ? selectElement.value : [];
+    if (!picked.some(value => findGroup(value))) return;
+
+    const memberOptions = Array.from(selectElement.querySelectorAll('sl-option[data-csv-value]'));
+    const expanded = [];
+
+    picked.forEach(value => {
+        const group = findGroup(value);
+        const ids = group
+            ? memberOptions.filter(option => group.csvValues.includes(option.getAttribute('data-csv-value'))).map(option => option.value)
+            : [value];
+
+        ids.forEach(id => {
+            if (!expanded.includes(id)) expanded.push(id);
+        });
+    });
+
+    selectElement.value = expanded;
+}
+
+/**
+ * Say which selections a change to the other filter removed, and offer to undo the change
+ * @param {string[]} removedIds - Option IDs that are no longer offered
+ * @param {Array} options - Role or location options from DataModule { value, text }
+ * @param {string} filterName - Filter the selections were removed from, 'role' or 'location'
+ * @param {string} changedFilterName - Filter whose change removed them
+ */
+function reportRemovedSelections(removedIds, options, filterName, changedFilterName) {
+    if (removedIds.length === 0 || !window.UndoHistoryModule) return;
+
+    const names = removedIds.map(id => {
+        const option = options.find(item => item.value === id);
+        return option ? option.text : id;
+    });
+    const pronoun = names.length === 1 ? 'it' : 'them';
+
+    window.UndoHistoryModule.showUndoToast(
+        `Removed ${window.KPIModule.formatListWithGrammar(names)} from the ${filterName} filter: ` +
+        `no respondents match ${pronoun} together with the ${changedFilterName} filter.`);
+}
+
 /**
  * Update location options based on selected roles
  * @param {Array} selectedRoles - Array of selected role CSV values
+ * @param {boolean} excludeRoles - The roles are being left out rather than kept
  */
-function updateLocationOptionsBasedOnRoles(selectedRoles) {
+function updateLocationOptionsBasedOnRoles(selectedRoles, excludeRoles = false) {
     const locationSelect = document.getElementById('location-select');
     if (!locationSelect) return;
 
     const currentLocationValue = locationSelect.value;
-    window.DataModule.populateLocationOptions(locationSelect, selectedRoles);
+    window.DataModule.populateLocationOptions(locationSelect, selectedRoles, excludeRoles);
 
     // Try to preserve selection if still available
-    setTimeout(() => {
-        if (Array.isArray(currentLocationValue) && currentLocationValue.length > 0) {
-            const availableOptions = Array.from(locationSelect.querySelectorAll('sl-option')).map(opt => opt.value);
-            const stillAvailable = currentLocationValue.filter(val => availableOptions.includes(val));
-            if (stillAvailable.length > 0) {
-                locationSelect.value = stillAvailable;
-            } else {
-                locationSelect.value = [];
-            }
-        }
+    if (Array.isArray(currentLocationValue) && currentLocationValue.length > 0) {
+        const availableOptions = Array.from(locationSelect.querySelectorAll('sl-option')).map(opt => opt.value);
+        const stillAvailable = currentLocationValue.filter(val => availableOptions.includes(val));
+        locationSelect.value = stillAvailable;
 
-        // Update KPIs and charts after location options change
-        updateKPIsAndCharts();
-    }, 100);
+        reportRemovedSelections(currentLocationValue.filter(val => !stillAvailable.includes(val)),
+            window.DataModule.getLocationOptions(), 'location', 'role');
+    }
 }
 
 /**
  * Update filter label state based on radio button selection
  * @param {string} labelId - ID of the label element
- * @param {string} radioValue - Current radio button value
+ * @param {string} radioValue - Current radio button value ('all', 'compare' or 'exclude')
  */
 function updateFilterLabelState(labelId, radioValue) {
     const label = document.getElementById(labelId);
     if (!label) return;
 
-    if (radioValue === 'compare') {
+    if (window.UtilsModule.usesFilterSelection(radioValue)) {
         label.classList.remove('inactive');
         label.classList.add('active');
     } else {
@@ -90,6 +110,7 @@ function updateFilterLabelState(labelId, radioValue) {
 function initializeFilterLabelStates() {
     const roleRadioGroup = document.getElementById('role-radio-group');
     const locationRadioGroup = document.getElementById('location-radio-group');
+    const answerRadioGroup = document.getElementById('answer-radio-group');
 
     if (roleRadioGroup) {
         updateFilterLabelState('role-label', roleRadioGroup.value);
@@ -97,45 +118,130 @@ function initializeFilterLabelStates() {
     if (locationRadioGroup) {
         updateFilterLabelState('location-label', locationRadioGroup.value);
     }
+    if (answerRadioGroup) {
+        updateFilterLabelState('answer-label', answerRadioGroup.value);
+    }
+}
+
+/**
+ * Turn the answer filter's selects on or off, clearing them when turned off
+ * @param {boolean} enabled - Whether the answer filter is in use
+ */
+function setAnswerFilterEnabled(enabled) {
+    const questionSelect = document.getElementById('answer-question-select');
+    const answerSelect = document.getElementById('answer-value-select');
+    if (!questionSelect || !answerSelect) return;
+
+    if (enabled) {
+        questionSelect.removeAttribute('disabled');
+        window.DataModule.populateAnswerQuestionOptions(questionSelect);
+
+        // Answers can only be picked once there is a question to pick them for
+        if (questionSelect.value) {
+            answerSelect.removeAttribute('disabled');
+        }
+    } else {
+        questionSelect.setAttribute('disabled', '');
+        questionSelect.value = '';
+        window.DataModule.clearSelectOptions(questionSelect);
+
+        answerSelect.setAttribute('disabled', '');
+        answerSelect.value = [];
+        window.DataModule.clearSelectOptions(answerSelect);
+    }
+}
+
+/**
+ * Set up the answer filter's radio group and selects
+ */
+function setupAnswerFilterFunctionality() {
+    const answerRadioGroup = document.getElementById('answer-radio-group');
+    const questionSelect = document.getElementById('answer-question-select');
+    const answerSelect = document.getElementById('answer-value-select');
+
+    if (!answerRadioGroup || !questionSelect || !answerSelect) {
+        console.warn('Could not set up the answer filter - missing elements');
+        return;
+    }
+
+    answerRadioGroup.addEventListener('sl-change', function () {
+        updateFilterLabelState('answer-label', answerRadioGroup.value);
+        setAnswerFilterEnabled(answerRadioGroup.value === 'compare');
+
+        // Nothing is filtered until answers are picked, but turning the filter off may change results
+        window.StoreModule.dispatchViewChange();
+    });
+
+    questionSelect.addEventListener('sl-change', function () {
+        // Answers picked for the previous question do not apply to the new one
+        answerSelect.value = [];
+        if (questionSelect.value) {
+            window.DataModule.populateAnswerValueOptions(answerSelect, questionSelect.value);
+            answerSelect.removeAttribute('disabled');
+        } else {
+            window.DataModule.clearSelectOptions(answerSelect);
+            answerSelect.setAttribute('disabled', '');
+        }
+
+        window.StoreModule.dispatchViewChange();
+    });
+
+    answerSelect.addEventListener('sl-change', function () {
+        window.StoreModule.dispatchViewChange();
+    });
+
+    setupSelectEventHandlers(questionSelect);
+    setupSelectEventHandlers(answerSelect);
+}
+
+/**
+ * Get what the filtered group is compared against
+ * @returns {string} 'company' for the whole company, or 'rest' for everyone not in the filtered group
+ */
+function getComparisonReference() {
+    const referenceRadioGroup = document.getElementById('reference-radio-group');
+    return referenceRadioGroup && referenceRadioGroup.value === 'rest' ? 'rest' : 'company';
+}
+
+/**
+ * Set up the choice between comparing with the whole company or the rest of the company
+ */
+function setupComparisonReference() {
+    const referenceRadioGroup = document.getElementById('reference-radio-group');
+    if (!referenceRadioGroup) return;
+
+    referenceRadioGroup.addEventListener('sl-change', function () {
+        window.StoreModule.dispatchViewChange();
+    });
 }
 
 /**
  * Update role options based on selected locations
  * @param {Array} selectedLocations - Array of selected location CSV values
+ * @param {boolean} excludeLocations - The locations are being left out rather than kept
  */
-function updateRoleOptionsBasedOnLocations(selectedLocations) {
+function updateRoleOptionsBasedOnLocations(selectedLocations, excludeLocations = false) {
     const roleSelect = document.getElementById('role-select');
     if (!roleSelect) return;
 
     const currentRoleValue = roleSelect.value;
-    window.DataModule.populateRoleOptions(roleSelect, selectedLocations);
+    window.DataModule.populateRoleOptions(roleSelect, selectedLocations, excludeLocations);
 
     // Try to preserve selection if still available
-    setTimeout(() => {
-        if (Array.isArray(currentRoleValue) && currentRoleValue.length > 0) {
-            const availableOptions = Array.from(roleSelect.querySelectorAll('sl-option')).map(opt => opt.value);
-            const stillAvailable = currentRoleValue.filter(val => availableOptions.includes(val));
-            if (stillAvailable.length > 0) {
-                roleSelect.value = stillAvailable;
-            } else {
-                roleSelect.value = [];
-            }
-        }
+    if (Array.isArray(currentRoleValue) && currentRoleValue.length > 0) {
+        const availableOptions = Array.from(roleSelect.querySelectorAll('sl-option')).map(opt => opt.value);
+        const stillAvailable = currentRoleValue.filter(val => availableOptions.includes(val));
+        roleSelect.value = stillAvailable;
 
-        // Update KPIs and charts after role options change
-        updateKPIsAndCharts();
-    }, 100);
+        reportRemovedSelections(currentRoleValue.filter(val => !stillAvailable.includes(val)),
+            window.DataModule.getRoleOptions(), 'role', 'location');
+    }
 }
 
 /**
  * Set up radio button and select widget functionality
  */
 function setupRadioSelectFunctionality() {
-    // Guard to prevent multiple setups
-    if (radioFunctionalitySetup) {
-        return;
-    }
-
     // Get radio groups and select elements
     const roleRadioGroup = document.getElementById('role-radio-group');
     const locationRadioGroup = document.getElementById('location-radio-group');
@@ -152,7 +258,14 @@ function setupRadioSelectFunctionality() {
                 // Update label state
                 updateFilterLabelState('role-label', currentValue);
 
-                if (currentValue === 'compare') {
+                if (window.UtilsModule.usesFilterSelection(currentValue) && !roleSelect.hasAttribute('disabled')) {
+                    // Switching between Filter and Exclude keeps the picked roles,
+                    // but turns around which locations they leave available
+                    const locationSelect = document.getElementById('location-select');
+                    if (locationSelect && !locationSelect.hasAttribute('disabled')) {
+                        updateLocationOptionsBasedOnRoles(getSelectedCsvValues(roleSelect), currentValue === 'exclude');
+                    }
+                } else if (window.UtilsModule.usesFilterSelection(currentValue)) {
                     roleSelect.removeAttribute('disabled');
 
                     // Check if location filter is active and get selected locations
@@ -161,12 +274,8 @@ function setupRadioSelectFunctionality() {
                         ? getSelectedCsvValues(locationSelect)
                         : [];
 
-                    window.DataModule.populateRoleOptions(roleSelect, selectedLocations);
-
-                    // Update KPIs and charts after options are populated
-                    setTimeout(() => {
-                        updateKPIsAndCharts();
-                    }, 200);
+                    window.DataModule.populateRoleOptions(roleSelect, selectedLocations,
+                        !!locationRadioGroup && locationRadioGroup.value === 'exclude');
                 } else {
                     roleSelect.setAttribute('disabled', '');
                     roleSelect.value = []; // Clear multiple selections
@@ -177,10 +286,10 @@ function setupRadioSelectFunctionality() {
                     if (locationSelect && !locationSelect.hasAttribute('disabled')) {
                         updateLocationOptionsBasedOnRoles([]);
                     }
-
-                    // Update KPIs and charts immediately
-                    updateKPIsAndCharts();
                 }
+
+                // Every branch has finished updating the selects, so the view is settled
+                window.StoreModule.dispatchViewChange();
             } catch (error) {
                 throw error;
             }
@@ -188,14 +297,16 @@ function setupRadioSelectFunctionality() {
 
         // Add event listener for role select changes
         roleSelect.addEventListener('sl-change', function (e) {
+            // Picking a family selects all of its roles
+            expandPickedGroups(roleSelect, window.RoleFamiliesModule.findFamilyGroup);
+
             // Get selected role CSV values
             const selectedRoles = getSelectedCsvValues(roleSelect);
 
             // Update location options based on selected roles
-            updateLocationOptionsBasedOnRoles(selectedRoles);
+            updateLocationOptionsBasedOnRoles(selectedRoles, roleRadioGroup.value === 'exclude');
 
-            // Update KPIs and charts when role selection changes
-            updateKPIsAndCharts();
+            window.StoreModule.dispatchViewChange();
         });
     } else {
         throw new Error('Could not set up role radio listener - missing elements');
@@ -211,7 +322,14 @@ function setupRadioSelectFunctionality() {
                 // Update label state
                 updateFilterLabelState('location-label', currentValue);
 
-                if (currentValue === 'compare') {
+                if (window.UtilsModule.usesFilterSelection(currentValue) && !locationSelect.hasAttribute('disabled')) {
+                    // Switching between Filter and Exclude keeps the picked locations,
+                    // but turns around which roles they leave available
+                    const roleSelect = document.getElementById('role-select');
+                    if (roleSelect && !roleSelect.hasAttribute('disabled')) {
+                        updateRoleOptionsBasedOnLocations(getSelectedCsvValues(locationSelect), currentValue === 'exclude');
+                    }
+                } else if (window.UtilsModule.usesFilterSelection(currentValue)) {
                     locationSelect.removeAttribute('disabled');
 
                     // Check if role filter is active and get selected roles
@@ -220,12 +338,8 @@ function setupRadioSelectFunctionality() {
                         ? getSelectedCsvValues(roleSelect)
                         : [];
 
-                    window.DataModule.populateLocationOptions(locationSelect, selectedRoles);
-
-                    // Update KPIs and charts after options are populated
-                    setTimeout(() => {
-                        updateKPIsAndCharts();
-                    }, 200);
+                    window.DataModule.populateLocationOptions(locationSelect, selectedRoles,
+                        !!roleRadioGroup && roleRadioGroup.value === 'exclude');
                 } else {
                     locationSelect.setAttribute('disabled', '');
                     locationSelect.value = []; // Clear multiple selections
@@ -236,10 +350,9 @@ function setupRadioSelectFunctionality() {
                     if (roleSelect && !roleSelect.hasAttribute('disabled')) {
                         updateRoleOptionsBasedOnLocations([]);
                     }
-
-                    // Update KPIs and charts immediately
-                    updateKPIsAndCharts();
                 }
+
+                window.StoreModule.dispatchViewChange();
             } catch (error) {
                 throw error;
             }
@@ -247,14 +360,16 @@ function setupRadioSelectFunctionality() {
 
         // Add event listener for location select changes
         locationSelect.addEventListener('sl-change', function (e) {
+            // Picking a region selects all of its shops
+            expandPickedGroups(locationSelect, window.LocationHierarchyModule.findRegionGroup);
+
             // Get selected location CSV values
             const selectedLocations = getSelectedCsvValues(locationSelect);
 
             // Update role options based on selected locations
-            updateRoleOptionsBasedOnLocations(selectedLocations);
+            updateRoleOptionsBasedOnLocations(selectedLocations, locationRadioGroup.value === 'exclude');
 
-            // Update KPIs and charts when location selection changes
-            updateKPIsAndCharts();
+            window.StoreModule.dispatchViewChange();
         });
     }
 
@@ -262,14 +377,14 @@ function setupRadioSelectFunctionality() {
     setupSelectEventHandlers(roleSelect);
     setupSelectEventHandlers(locationSelect);
 
-    // Initialize filter label states
-    initializeFilterLabelStates();
+    // Set up filtering by the answer to a survey question
+    setupAnswerFilterFunctionality();
 
-    // Check for HTML default values and trigger filtering if needed
-    checkAndTriggerHtmlDefaults();
+    // Set up what the filtered group is compared against
+    setupComparisonReference();
 
-    // Mark as set up
-    radioFunctionalitySetup = true;
+    // Initialize filter label states
+    initializeFilterLabelStates();
 }
 
 /**
@@ -297,19 +412,27 @@ function getCurrentFilterState() {
     const locationRadioGroup = document.getElementById('location-radio-group');
     const roleSelect = document.getElementById('role-select');
     const locationSelect = document.getElementById('location-select');
+    const answerRadioGroup = document.getElementById('answer-radio-group');
+    const questionSelect = document.getElementById('answer-question-select');
+    const answerSelect = document.getElementById('answer-value-select');
 
     return {
         roleMode: roleRadioGroup ? roleRadioGroup.value : 'all',
         locationMode: locationRadioGroup ? locationRadioGroup.value : 'all',
         selectedRoles: roleSelect && roleSelect.value ? (Array.isArray(roleSelect.value) ? roleSelect.value : [roleSelect.value]) : [],
-        selectedLocations: locationSelect && locationSelect.value ? (Array.isArray(locationSelect.value) ? locationSelect.value : [locationSelect.value]) : []
+        selectedLocations: locationSelect && locationSelect.value ? (Array.isArray(locationSelect.value) ? locationSelect.value : [locationSelect.value]) : [],
+        answerMode: answerRadioGroup ? answerRadioGroup.value : 'all',
+        answerQuestion: questionSelect && questionSelect.value ? questionSelect.value : '',
+        selectedAnswers: answerSelect && answerSelect.value ? (Array.isArray(answerSelect.value) ? answerSelect.value : [answerSelect.value]) : [],
+        reference: getComparisonReference()
     };
 }
 
 /**
  * Reset all filters to default state
+ * @param {boolean} dispatchChange - Record the view straight away; callers that change more of the view record it themselves
  */
-function resetFilters() {
+function resetFilters(dispatchChange = true) {
     const roleRadioGroup = document.getElementById('role-radio-group');
     const locationRadioGroup = document.getElementById('location-radio-group');
     const roleSelect = document.getElementById('role-select');
@@ -331,89 +454,155 @@ function resetFilters() {
         window.DataModule.clearSelectOptions(locationSelect);
     }
 
+    // Turn off the answer filter
+    const answerRadioGroup = document.getElementById('answer-radio-group');
+    if (answerRadioGroup) answerRadioGroup.value = 'all';
+    setAnswerFilterEnabled(false);
+
+    // Drop any cross-filter picked from a chart and any comment search; the view recorded below goes without them
+    if (window.CrossFilterModule) {
+        window.CrossFilterModule.clearCrossFilter(false);
+    }
+    if (window.CommentSearchModule) {
+        window.CommentSearchModule.clearCommentSearch(false);
+    }
+
     // Reset filter label states
     updateFilterLabelState('role-label', 'all');
     updateFilterLabelState('location-label', 'all');
+    updateFilterLabelState('answer-label', 'all');
 
-    // Update KPIs and charts after reset
-    updateKPIsAndCharts();
+    if (dispatchChange) {
+        window.StoreModule.dispatchViewChange();
+    }
 }
 
 /**
- * Check for HTML default values and trigger filtering if needed
+ * Convert option IDs to CSV values using the options derived from the data
+ * @param {Array} options - Options from DataModule { value, csvValue }
+ * @param {string[]} ids - Option IDs
+ * @returns {string[]} CSV values of the IDs that exist
  */
-function checkAndTriggerHtmlDefaults() {
+function getCsvValuesForIds(options, ids) {
+    return ids
+        .map(id => options.find(option => option.value === id))
+        .filter(Boolean)
+        .map(option => option.csvValue);
+}
+
+/**
+ * Put the filters into a given state, e.g. one restored from a shared link.
+ * Each select only offers what the other one's selection allows, as when the user picks them,
+ * so selections that no longer exist are dropped.
+ * @param {Object} state - { roleMode, locationMode, selectedRoles, selectedLocations } with option IDs
+ *                         and modes 'all', 'compare' or 'exclude',
+ *                         plus optionally { answerMode, answerQuestion, selectedAnswers } for the answer filter
+ *                         and { reference } ('company' or 'rest') for what the filtered group is compared against
+ */
+function applyFilterState(state) {
     const roleRadioGroup = document.getElementById('role-radio-group');
     const locationRadioGroup = document.getElementById('location-radio-group');
     const roleSelect = document.getElementById('role-select');
     const locationSelect = document.getElementById('location-select');
 
-    // Use a timeout to ensure Shoelace components are fully ready
-    setTimeout(() => {
-        let shouldTriggerUpdate = false;
-
-        // Check if location filter has HTML default values
-        if (locationRadioGroup && locationRadioGroup.value === 'compare') {
-            // Get the HTML default value before populating options
-            const htmlDefaultValue = locationSelect.getAttribute('value') || locationSelect.value;
-
-            // Populate location options to ensure they exist
-            window.DataModule.populateLocationOptions(locationSelect, []);
-
-            // Explicitly set the HTML default value after populating options
-            if (htmlDefaultValue) {
-                setTimeout(() => {
-                    // Convert to array format expected by multi-select
-                    const valueArray = Array.isArray(htmlDefaultValue) ? htmlDefaultValue : [htmlDefaultValue];
-                    locationSelect.value = valueArray;
-
-                    // Trigger a change event to ensure all listeners are notified
-                    locationSelect.dispatchEvent(new CustomEvent('sl-change', {
-                        detail: { value: valueArray },
-                        bubbles: true
-                    }));
-                }, 100);
-            }
-            shouldTriggerUpdate = true;
-        }
+    if (!roleRadioGroup || !locationRadioGroup || !roleSelect || !locationSelect) {
+        return;
+    }
+
+    const usesFilterSelection = window.UtilsModule.usesFilterSelection;
+    const roleIds = usesFilterSelection(state.roleMode) ? state.selectedRoles : [];
+    const locationIds = usesFilterSelection(state.locationMode) ? state.selectedLocations : [];
+
+    roleRadioGroup.value = usesFilterSelection(state.roleMode) ? state.roleMode : 'all';
+    locationRadioGroup.value = usesFilterSelection(state.locationMode) ? state.locationMode : 'all';
+    updateFilterLabelState('role-label', roleRadioGroup.value);
+    updateFilterLabelState('location-label', locationRadioGroup.value);
+
+    if (usesFilterSelection(roleRadioGroup.value)) {
+        roleSelect.removeAttribute('disabled');
+        window.DataModule.populateRoleOptions(roleSelect,
+            getCsvValuesForIds(window.DataModule.getLocationOptions(), locationIds),
+            locationRadioGroup.value === 'exclude');
+    } else {
+        roleSelect.setAttribute('disabled', '');
+        window.DataModule.clearSelectOptions(roleSelect);
+    }
+
+    if (usesFilterSelection(locationRadioGroup.value)) {
+        locationSelect.removeAttribute('disabled');
+        window.DataModule.populateLocationOptions(locationSelect,
+            getCsvValuesForIds(window.DataModule.getRoleOptions(), roleIds),
+            roleRadioGroup.value === 'exclude');
+    } else {
+        locationSelect.setAttribute('disabled', '');
+        window.DataModule.clearSelectOptions(locationSelect);
+    }
+
+    // Without a reference the filtered group keeps being compared against the current one
+    const referenceRadioGroup = document.getElementById('reference-radio-group');
+    if (referenceRadioGroup && state.reference) {
+        referenceRadioGroup.value = state.reference === 'rest' ? 'rest' : 'company';
+    }
 
-        // Check if role filter has HTML default values  
-        if (roleRadioGroup && roleRadioGroup.value === 'compare') {
-            // Get the HTML default value before populating options
-            const htmlDefaultValue = roleSelect.getAttribute('value') || roleSelect.value;
-
-            // Populate role options to ensure they exist
-            window.DataModule.populateRoleOptions(roleSelect, []);
-
-            // Explicitly set the HTML default value after populating options
-            if (htmlDefaultValue) {
-                setTimeout(() => {
-                    // Convert to array format expected by multi-select
-                    const valueArray = Array.isArray(htmlDefaultValue) ? htmlDefaultValue : [htmlDefaultValue];
-                    roleSelect.value = valueArray;
-
-                    // Trigger a change event to ensure all listeners are notified
-                    roleSelect.dispatchEvent(new CustomEvent('sl-change', {
-                        detail: { value: valueArray },
-                        bubbles: true
-                    }));
-                }, 100);
+    // The answer filter only applies with a question the survey has
+    const answerRadioGroup = document.getElementById('answer-radio-group');
+    const questionSelect = document.getElementById('answer-question-select');
+    const answerSelect = document.getElementById('answer-value-select');
+    const useAnswerFilter = state.answerMode === 'compare';
+    const answerQuestion = useAnswerFilter && window.DataModule.getAnswerFilterQuestions()
+        .some(question => question.id === state.answerQuestion) ? state.answerQuestion : '';
+
+    if (answerRadioGroup && questionSelect && answerSelect) {
+        answerRadioGroup.value = useAnswerFilter ? 'compare' : 'all';
+        updateFilterLabelState('answer-label', answerRadioGroup.value);
+        setAnswerFilterEnabled(false);
+
+        if (useAnswerFilter) {
+            setAnswerFilterEnabled(true);
+            if (answerQuestion) {
+                window.DataModule.populateAnswerValueOptions(answerSelect, answerQuestion);
+                answerSelect.removeAttribute('disabled');
             }
-            shouldTriggerUpdate = true;
         }
+    }
 
-        // If any HTML defaults were found, trigger the data update after a brief delay
-        if (shouldTriggerUpdate) {
-            setTimeout(() => {
-                updateKPIsAndCharts();
-            }, 200);
-        }
-    }, 100);
+    // Shoelace selects pick up a value set before their new options are slotted in
+    const isOffered = (select, id) => !!select.querySelector(`sl-option[value="${id}"]:not([disabled])`);
+    roleSelect.value = roleIds.filter(id => isOffered(roleSelect, id));
+    locationSelect.value = locationIds.filter(id => isOffered(locationSelect, id));
+
+    if (questionSelect && answerSelect && answerQuestion) {
+        questionSelect.value = answerQuestion;
+        answerSelect.value = (state.selectedAnswers || []).filter(id => isOffered(answerSelect, id));
+    }
+}
+
+/**
+ * Start the filters from the selections written into the HTML, e.g. the location select's default shop.
+ * The view is recorded by the caller once the rest of the dashboard is set up.
+ */
+function applyHtmlDefaultFilters() {
+    const roleSelect = document.getElementById('role-select');
+    const locationSelect = document.getElementById('location-select');
+    if (!roleSelect || !locationSelect) return;
+
+    // A multi-select's value attribute lists its option IDs separated by spaces
+    const getDefaultIds = select => (select.getAttribute('value') || '').split(' ').filter(Boolean);
+
+    applyFilterState({
+        ...getCurrentFilterState(),
+        selectedRoles: getDefaultIds(roleSelect),
+        selectedLocations: getDefaultIds(locationSelect)
+    });
 }
 
 // Export functions for use in other modules
 window.FiltersModule = {
     setupRadioSelectFunctionality,
     getCurrentFilterState,
-    resetFilters
+    applyFilterState,
+    applyHtmlDefaultFilters,
+    resetFilters,
+    expandPickedGroups,
+    getComparisonReference
 }; 
\ No newline at end of file
@@ -1,53 +1,8 @@
 /**
  * Grouped Averages Module
- * Handles the calculation and display of survey component averages
+ * Handles the display of survey component averages calculated by the survey worker
  */
 
-// Question group mappings
-const QUESTION_GROUPS = {
-    'Trust': ['Q3_num'],
-    'Health': ['Q4_num'],
-    'Relationships': ['Q5_num'],
-    'Impact': ['Q6_num'],
-    'Value': ['Q7_num'],
-    'Engagement': ['Q8_num'],
-    'Overall Job Satisfaction': ['Q11_num']
-};
-
-// Global variables
-let baselineAverages = {};
-let isTableInitialized = false;
-
-/**
- * Calculate grouped averages for a given dataset
- * @param {Array} data - Array of survey response objects
- * @returns {Object} Object with group names as keys and averages as values
- */
-function calculateGroupedAverages(data) {
-    const groupedAverages = {};
-
-    Object.keys(QUESTION_GROUPS).forEach(groupName => {
-        const columns = QUESTION_GROUPS[groupName];
-        let sum = 0;
-        let count = 0;
-
-        data.forEach((row, index) => {
-            columns.forEach(col => {
-                const value = parseFloat(row[col]);
-                if (!isNaN(value)) {
-                    sum += value;
-                    count++;
-                }
-            });
-        });
-
-        const average = count > 0 ? sum / count : 0;
-        groupedAverages[groupName] = average;
-    });
-
-    return groupedAverages;
-}
-
 /**
  * Get color class for comparison mode based on ranking within each column
  * @param {number} value - The current value
@@ -74,12 +29,13 @@ function getComparisonModeColorClass(value, minValue, maxValue, itemCount) {
 /**
  * Create a table row for the grouped averages
  * @param {string} datasetName - Name of the dataset (e.g., "All Responses", "Filtered")
- * @param {Object} averages - Object with group averages
+ * @param {Object|null} averages - Object with group averages, or null when the group is too small to show
  * @param {boolean} isFiltered - Whether this is filtered data
- * @param {Object} coloringData - Optional data for comparative coloring {mode, allAverages, itemCount}
+ * @param {Object} coloringData - Optional data for coloring: {mode: 'comparison', allAverages, itemCount} or {mode: 'baseline', baselineAverages}
+ * @param {Object} previousAverages - Optional group averages from the previous wave, shown as change indicators
  * @returns {HTMLTableRowElement} The created row element
  */
-function createTableRow(datasetName, averages, isFiltered = false, coloringData = null) {
+function createTableRow(datasetName, averages, isFiltered = false, coloringData = null, previousAverages = null) {
     const row = document.createElement('tr');
     row.className = isFiltered ? 'filtered-row' : 'baseline-row';
 
@@ -89,19 +45,40 @@ function createTableRow(datasetName, averages, isFiltered = false, coloringData
     datasetCell.textContent = datasetName;
     row.appendChild(datasetCell);
 
+    if (!averages) {
+        const suppressedCell = document.createElement('td');
+        suppressedCell.colSpan = window.SchemaModule.getGroups().length;
+        suppressedCell.className = 'suppressed-group';
+        suppressedCell.textContent = 'Not enough responses to show';
+        row.appendChild(suppressedCell);
+        return row;
+    }
+
     // Average cells for each group
-    Object.keys(QUESTION_GROUPS).forEach(groupName => {
+    window.SchemaModule.getGroups().forEach(group => {
+        const groupName = group.name;
         const cell = document.createElement('td');
         cell.className = 'group-average';
 
-        // Add medium-gray background to Overall Satisfaction column
-        if (groupName === 'Overall Job Satisfaction') {
+        // Add medium-gray background to highlighted columns such as Overall Satisfaction
+        if (group.highlight) {
             cell.classList.add('overall-satisfaction-column');
         }
 
         const average = averages[groupName];
         cell.textContent = average.toFixed(1);
 
+        // Show change since the previous wave beneath the value
+        if (previousAverages) {
+            const delta = window.UtilsModule.getWaveDelta(average, previousAverages[groupName]);
+            if (delta) {
+                const deltaElement = document.createElement('span');
+                deltaElement.className = `wave-delta wave-delta-${delta.direction}`;
+                deltaElement.textContent = `${delta.arrow} ${Math.abs(delta.value).toFixed(1)}`;
+                cell.appendChild(deltaElement);
+            }
+        }
+
         // Apply conditional formatting based on mode
         if (isFiltered) {
             if (coloringData && coloringData.mode === 'comparison') {
@@ -111,10 +88,10 @@ function createTableRow(datasetName, averages, isFiltered = false, coloringData
                 const maxValue = Math.max(...columnValues);
                 const colorClass = getComparisonModeColorClass(average, minValue, maxValue, coloringData.itemCount);
                 cell.classList.add(colorClass);
-            } else {
+            } else if (coloringData && coloringData.mode === 'baseline') {
                 // Baseline mode: compare against baseline
-                if (baselineAverages[groupName] !== undefined) {
-                    const baselineAvg = baselineAverages[groupName];
+                if (coloringData.baselineAverages[groupName] !== undefined) {
+                    const baselineAvg = coloringData.baselineAverages[groupName];
                     if (average > baselineAvg) {
                         cell.classList.add('score-green');
                     } else if (average < baselineAvg) {
@@ -132,166 +109,144 @@ function createTableRow(datasetName, averages, isFiltered = false, coloringData
     return row;
 }
 
+/**
+ * Create the row shown when nothing is selected for comparison
+ * @param {string} text - Message to show
+ * @returns {HTMLTableRowElement} The created row element
+ */
+function createEmptyStateRow(text) {
+    const emptyRow = document.createElement('tr');
+    const emptyCell = document.createElement('td');
+    emptyCell.colSpan = window.SchemaModule.getGroups().length + 1;
+    emptyCell.textContent = text;
+    emptyCell.className = 'empty-state';
+    emptyRow.appendChild(emptyCell);
+    return emptyRow;
+}
+
 /**
  * Update the grouped averages table
- * @param {Object} filters - Current filter state
+ * @param {Object|null} analysis - Results from AnalysisModule (defaults to the latest)
  */
-function updateGroupedAveragesTable(filters = null) {
+function updateGroupedAveragesTable(analysis = window.AnalysisModule?.getLatestAnalysis()) {
     const tbody = document.getElementById('grouped-averages-tbody');
     if (!tbody) {
         console.error('Could not find grouped-averages-tbody element');
         return;
     }
 
-    // Check if CSV data is available using the same pattern as KPI module
-    if (!window.CSVLoaderModule || !window.CSVLoaderModule.isCSVDataLoaded()) {
-        console.error('CSV data not loaded yet, skipping table update');
-        return;
-    }
-
-    // Get data using the same pattern as other modules
-    const allData = window.CSVLoaderModule.getCSVData();
-    if (!allData || allData.length === 0) {
-        console.error('No CSV data available for grouped averages table');
-        return;
-    }
-
-    // Calculate baseline averages (always needed)
-    const currentBaseline = calculateGroupedAverages(allData);
-
-    // Store baseline for comparison
-    if (!isTableInitialized) {
-        baselineAverages = { ...currentBaseline };
-        isTableInitialized = true;
-    }
+    // Nothing to show until the survey worker has returned results
+    if (!analysis) return;
 
     // Clear existing rows
     tbody.innerHTML = '';
 
-    // Get current comparison mode
-    const comparisonMode = (window.DrawerModule && window.DrawerModule.getCurrentComparisonMode)
-        ? window.DrawerModule.getCurrentComparisonMode()
-        : 'baseline';
+    const comparisonMode = analysis.mode;
 
     // Update subtitle visibility and text based on comparison mode
     const subtitle = document.getElementById('grouped-averages-subtitle');
     if (subtitle) {
+        const waveNote = analysis.previousWave ? ` Arrows show change since ${analysis.previousWave}.` : '';
+
         if (comparisonMode === 'baseline') {
-            subtitle.textContent = 'Conditional formatting of filtered results relative to company baseline.';
+            const referenceName = analysis.reference === 'rest' ? 'the rest of the company' : 'company baseline';
+            subtitle.textContent = `Conditional formatting of filtered results relative to ${referenceName}.` + waveNote;
             subtitle.classList.remove('hidden');
         } else {
-            subtitle.textContent = 'Green indicates highest value, red indicates lowest value per column.';
+            subtitle.textContent = 'Green indicates highest value, red indicates lowest value per column.' + waveNote;
             subtitle.classList.remove('hidden');
         }
     }
 
     // Handle different comparison modes
-    if (comparisonMode === 'roles') {
-        // Roles comparison mode - show individual role rows
-        const selectedRoles = window.KPIModule.getSelectedComparisonItems('roles');
-        if (selectedRoles && selectedRoles.length > 0) {
-            const limitedRoles = selectedRoles.slice(0, 5);
-
-            // Calculate averages for all roles first (for comparative coloring)
-            const allRoleAverages = limitedRoles.map(roleData => {
-                const roleFilteredData = allData.filter(row => row.Role === roleData.csvValue);
-                return calculateGroupedAverages(roleFilteredData);
-            });
-
-            // Create rows with comparative coloring
-            limitedRoles.forEach((roleData, index) => {
-                const roleFilteredData = allData.filter(row => row.Role === roleData.csvValue);
-                if (roleFilteredData.length > 0) {
-                    const roleAverages = allRoleAverages[index];
-                    const coloringData = {
-                        mode: 'comparison',
-                        allAverages: allRoleAverages,
-                        itemCount: limitedRoles.length
-                    };
-                    const roleRow = createTableRow(roleData.displayName, roleAverages, true, coloringData);
-                    tbody.appendChild(roleRow);
-                }
-            });
-        } else {
-            // No roles selected, show empty state
-            const emptyRow = document.createElement('tr');
-            const emptyCell = document.createElement('td');
-            emptyCell.colSpan = Object.keys(QUESTION_GROUPS).length + 1;
-            emptyCell.textContent = 'Select roles to see comparison data';
-            emptyCell.className = 'empty-state';
-            emptyRow.appendChild(emptyCell);
-            tbody.appendChild(emptyRow);
-        }
-    } else if (comparisonMode === 'location') {
-        // Location comparison mode - show individual location rows
-        const selectedLocations = window.KPIModule.getSelectedComparisonItems('location');
-        if (selectedLocations && selectedLocations.length > 0) {
-            const limitedLocations = selectedLocations.slice(0, 5);
-
-            // Calculate averages for all locations first (for comparative coloring)
-            const allLocationAverages = limitedLocations.map(locationData => {
-                const locationFilteredData = allData.filter(row => row.Location === locationData.csvValue);
-                return calculateGroupedAverages(locationFilteredData);
-            });
-
-            // Create rows with comparative coloring
-            limitedLocations.forEach((locationData, index) => {
-                const locationFilteredData = allData.filter(row => row.Location === locationData.csvValue);
-                if (locationFilteredData.length > 0) {
-                    const locationAverages = allLocationAverages[index];
-                    const coloringData = {
-                        mode: 'comparison',
-                        allAverages: allLocationAverages,
-                        itemCount: limitedLocations.length
-                    };
-                    const locationRow = createTableRow(locationData.displayName, locationAverages, true, coloringData);
-                    tbody.appendChild(locationRow);
-                }
-            });
-        } else {
-            // No locations selected, show empty state
-            const emptyRow = document.createElement('tr');
-            const emptyCell = document.createElement('td');
-            emptyCell.colSpan = Object.keys(QUESTION_GROUPS).length + 1;
-            emptyCell.textContent = 'Select locations to see comparison data';
-            emptyCell.className = 'empty-state';
-            emptyRow.appendChild(emptyCell);
-            tbody.appendChild(emptyRow);
+    if (window.AnalysisModule.isComparisonMode(comparisonMode)) {
+        if (analysis.series.length === 0) {
+            const modeInfo = window.AnalysisModule.getComparisonModeInfo(comparisonMode);
+            tbody.appendChild(createEmptyStateRow(`Select ${modeInfo.itemsName} to see comparison data`));
+            return;
         }
+
+        // Color each column by ranking the selections against each other, leaving out those too small to show
+        const shownAverages = analysis.series.filter(item => !item.suppressed).map(item => item.groupAverages);
+        const coloringData = {
+            mode: 'comparison',
+            allAverages: shownAverages,
+            itemCount: shownAverages.length
+        };
+
+        analysis.series.forEach(item => {
+            if (item.count > 0) {
+                const previousAverages = item.previous ? item.previous.groupAverages : null;
+                tbody.appendChild(createTableRow(item.label, item.groupAverages, true, coloringData, previousAverages));
+            }
+        });
     } else {
         // Baseline mode - keep original behavior
-        // Add baseline row
-        const baselineRow = createTableRow('All Responses', baselineAverages, false);
+        const all = analysis.series.find(item => item.id === 'all');
+        const baselineRow = createTableRow('All Responses', all.groupAverages, false, null,
+            all.previous ? all.previous.groupAverages : null);
         tbody.appendChild(baselineRow);
 
-        // Check if filters are active (using same pattern as KPI module)
-        const hasFilters = filters && (
-            (filters.roleMode === 'compare' && filters.selectedRoles && filters.selectedRoles.length > 0) ||
-            (filters.locationMode === 'compare' && filters.selectedLocations && filters.selectedLocations.length > 0)
-        );
-
-        if (hasFilters) {
-            // Get filtered data using CSVLoaderModule
-            const filteredData = window.CSVLoaderModule.getFilteredData(filters);
+        // Filtered results are colored against the rest of the company when that is the reference
+        const filtered = analysis.series.find(item => item.id === 'filtered');
+        const rest = analysis.series.find(item => item.id === 'rest');
+        const reference = rest || all;
+        if (filtered && filtered.count > 0) {
+            const coloringData = reference.count > 0 && !reference.suppressed ? { mode: 'baseline', baselineAverages: reference.groupAverages } : null;
+            const filteredRow = createTableRow('Filtered Results', filtered.groupAverages, true, coloringData,
+                filtered.previous ? filtered.previous.groupAverages : null);
+            tbody.appendChild(filteredRow);
+        }
 
-            if (filteredData.length > 0) {
-                const filteredAverages = calculateGroupedAverages(filteredData);
-                const filteredRow = createTableRow('Filtered Results', filteredAverages, true);
-                tbody.appendChild(filteredRow);
-            }
+        if (rest && rest.count > 0) {
+            tbody.appendChild(createTableRow(rest.label, rest.groupAverages, false, null,
+                rest.previous ? rest.previous.groupAverages : null));
         }
     }
 }
 
+/**
+ * Build the table header from the dimension groups in the survey schema
+ */
+function buildGroupedAveragesHeader() {
+    const headerRow = document.querySelector('#grouped-averages-table thead tr');
+    if (!headerRow) return;
+
+    headerRow.innerHTML = '';
+
+    const datasetHeader = document.createElement('th');
+    datasetHeader.className = 'group-header';
+    datasetHeader.textContent = 'Dataset';
+    headerRow.appendChild(datasetHeader);
+
+    window.SchemaModule.getGroups().forEach(group => {
+        const header = document.createElement('th');
+        header.className = 'group-header';
+        header.textContent = group.name;
+        headerRow.appendChild(header);
+    });
+}
+
 /**
  * Initialize the grouped averages table
  */
 function initializeGroupedAveragesTable() {
-    // Initial load with no filters
+    buildGroupedAveragesHeader();
+
+    // Render whatever results are already available
     updateGroupedAveragesTable();
 }
 
+/**
+ * Re-render the grouped averages table whenever new results arrive
+ */
+function subscribeGroupedAveragesTable() {
+    window.StoreModule.subscribe(['analysis'], function (state) {
+        updateGroupedAveragesTable(state.analysis);
+    });
+}
+
 // Export functions to global scope
 window.updateGroupedAveragesTable = updateGroupedAveragesTable;
 window.initializeGroupedAveragesTable = initializeGroupedAveragesTable;
-window.calculateGroupedAverages = calculateGroupedAverages; 
\ No newline at end of file
+window.subscribeGroupedAveragesTable = subscribeGroupedAveragesTable;
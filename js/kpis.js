@@ -1,23 +1,11 @@
 /**
  * KPIs Module - Key Performance Indicators
- * Calculates and displays survey metrics based on "_num" columns
+ * Displays survey metrics based on the Likert score columns in the survey schema.
+ * The figures are calculated by the survey worker and arrive through AnalysisModule.
  */
 
-// Columns with "_num" suffix to include in average calculations (excluding 'Avg_num_response')
-const NUM_COLUMNS = [
-    'Q3_num', 'Q4_num', 'Q5_num', 'Q6_num', 'Q7_num', 'Q8_num','Q11_num'
-];
-
-/**
- * Get current comparison mode from drawer module
- * @returns {string} Current comparison mode ('baseline', 'roles', 'location')
- */
-function getCurrentComparisonMode() {
-    if (window.DrawerModule && window.DrawerModule.getCurrentComparisonMode) {
-        return window.DrawerModule.getCurrentComparisonMode();
-    }
-    return 'baseline'; // Default fallback
-}
+// Comparisons of more items than fit in a row show their cards in one scrolling strip
+const KPI_CARDS_PER_ROW = 5;
 
 /**
  * Get color class for filtered average score based on delta from total average
@@ -37,101 +25,54 @@ function getAverageScoreColorClass(filteredAverage, totalAverage) {
 }
 
 /**
- * Calculate the average of all "_num" columns for a dataset
- * @param {Array} data - Array of survey response objects
- * @returns {number} Average value across all "_num" columns
+ * Round a score to one decimal place
+ * @param {number|null} value - Score, or null when unavailable
+ * @returns {number|null} Rounded score, or null
  */
-function calculateAverageResponse(data) {
-    if (!data || data.length === 0) return 0;
-
-    let totalSum = 0;
-    let totalCount = 0;
-
-    data.forEach(row => {
-        NUM_COLUMNS.forEach(column => {
-            const value = parseFloat(row[column]);
-            if (!isNaN(value)) {
-                totalSum += value;
-                totalCount++;
-            }
-        });
-    });
-
-    return totalCount > 0 ? totalSum / totalCount : 0;
+function roundScore(value) {
+    return value === null || value === undefined ? null : Math.round(value * 10) / 10;
 }
 
 /**
- * Get selected roles or locations for comparison modes
- * @param {string} mode - 'roles' or 'location'
- * @returns {Array} Array of selected items with their data
+ * Show a score in a KPI card
+ * @param {number|null} value - Rounded score, or null when the group is too small to show
+ * @returns {string} Score, or a dash
  */
-function getSelectedComparisonItems(mode) {
-    if (!window.CSVLoaderModule || !window.CSVLoaderModule.isCSVDataLoaded()) {
-        return [];
-    }
-
-    const allData = window.CSVLoaderModule.getCSVData();
-    const totalAverage = calculateAverageResponse(allData);
-
-    if (mode === 'roles') {
-        const roleSelect = document.getElementById('roles-comparison-select');
-        if (!roleSelect || !roleSelect.value || roleSelect.value.length === 0) {
-            return [];
-        }
-
-        const selectedRoles = roleSelect.value.map(value => {
-            const option = roleSelect.querySelector(`sl-option[value="${value}"]`);
-            return option ? option.getAttribute('data-csv-value') || value : value;
-        }).filter(Boolean);
-
-
-        return selectedRoles.slice(0, 5).map(value => {
-            const roleOption = window.DataModule.ROLE_OPTIONS.find(option => option.value === value);
-            const csvValue = roleOption ? roleOption.csvValue : value;
-            const filteredData = allData.filter(row => row.Role === csvValue);
-            const average = calculateAverageResponse(filteredData);
-
-
+function formatKPIScore(value) {
+    return value === null ? '–' : String(value);
+}
 
-            return {
-                displayName: roleOption ? roleOption.text : value,
-                csvValue: csvValue,
-                count: filteredData.length,
-                average: Math.round(average * 10) / 10,
-                totalAverage: totalAverage
-            };
-        });
-    }
+/**
+ * Create the HTML for a change-since-previous-wave indicator
+ * @param {number} current - Score in the selected wave
+ * @param {number|null} previous - Score in the previous wave
+ * @param {string|null} previousWave - Label of the previous wave
+ * @returns {string} HTML string, empty when there is no previous wave to compare
+ */
+function createWaveDeltaHTML(current, previous, previousWave) {
+    if (!previousWave || current === null) return '';
 
-    if (mode === 'location') {
-        const locationSelect = document.getElementById('locations-comparison-select');
-        if (!locationSelect || !locationSelect.value || locationSelect.value.length === 0) {
-            return [];
-        }
+    const delta = window.UtilsModule.getWaveDelta(current, previous);
+    if (!delta) return '';
 
-        const selectedLocations = locationSelect.value.map(value => {
-            const option = locationSelect.querySelector(`sl-option[value="${value}"]`);
-            return option ? option.getAttribute('data-csv-value') || value : value;
-        }).filter(Boolean);
-
-
-        return selectedLocations.slice(0, 5).map(value => {
-            const locationOption = window.DataModule.LOCATION_OPTIONS.find(option => option.value === value);
-            const csvValue = locationOption ? locationOption.csvValue : value;
-            const filteredData = allData.filter(row => row['Location'] === csvValue);
-            const average = calculateAverageResponse(filteredData);
-
-            return {
-                displayName: locationOption ? locationOption.text : value,
-                csvValue: csvValue,
-                count: filteredData.length,
-                average: Math.round(average * 10) / 10,
-                totalAverage: totalAverage
-            };
-        });
-    }
+    return `<div class="kpi-delta kpi-delta-${delta.direction}">${delta.arrow} ${Math.abs(delta.value).toFixed(1)} vs ${window.UtilsModule.escapeHTML(previousWave)}</div>`;
+}
 
-    return [];
+/**
+ * Get the comparison cards' data from the latest results
+ * @param {Object} analysis - Results from AnalysisModule
+ * @returns {Array} Array of { displayName, count, suppressed, average, previousWave, previousAverage }
+ *                 where average is null when the item is too small to show
+ */
+function getComparisonItemsData(analysis) {
+    return analysis.series.map(item => ({
+        displayName: item.label,
+        count: item.count,
+        suppressed: !!item.suppressed,
+        average: roundScore(item.average),
+        previousWave: analysis.previousWave,
+        previousAverage: item.previous ? roundScore(item.previous.average) : null
+    }));
 }
 
 /**
@@ -158,39 +99,38 @@ function getComparisonModeColorClass(value, minValue, maxValue, itemCount) {
 }
 
 /**
- * Create KPI HTML for roles or location comparison mode
- * @param {string} mode - 'roles' or 'location'
+ * Create KPI HTML for a comparison mode
+ * @param {string} mode - 'roles', 'location', 'cells' or 'segments'
  * @param {Array} items - Array of selected items with their data
  * @returns {string} HTML string for comparison mode KPI display
  */
 function createComparisonModeKPIHTML(mode, items) {
+    const modeInfo = window.AnalysisModule.getComparisonModeInfo(mode);
+
     if (!items || items.length === 0) {
-        return '<div class="kpi-container kpi-comparison-empty">Select ' +
-            (mode === 'roles' ? 'roles' : 'locations') +
-            ' to see comparison data</div>';
+        return `<div class="kpi-container kpi-comparison-empty">Select ${modeInfo.itemsName} to see comparison data</div>`;
     }
 
-    const modeLabel = mode === 'roles' ? 'Role' : 'Location';
-
-    // Calculate min and max values for color coding
-    const averages = items.map(item => item.average);
+    // Calculate min and max values for color coding, leaving out items too small to show
+    const averages = items.filter(item => !item.suppressed).map(item => item.average);
     const minAverage = Math.min(...averages);
     const maxAverage = Math.max(...averages);
 
     const cardsHTML = items.map(item => `
         <div class="kpi-card kpi-comparison-card">
-            <div class="kpi-comparison-header">${item.displayName}</div>
+            <div class="kpi-comparison-header">${window.UtilsModule.escapeHTML(item.displayName)}</div>
             <div class="kpi-value">${item.count}</div>
             <div class="kpi-label">Responses</div>
-            <div class="kpi-value ${getComparisonModeColorClass(item.average, minAverage, maxAverage, items.length)}">${item.average}</div>
-            <div class="kpi-label">Average Score</div>
+            <div class="kpi-value ${item.suppressed ? 'score-neutral' : getComparisonModeColorClass(item.average, minAverage, maxAverage, averages.length)}">${formatKPIScore(item.average)}</div>
+            <div class="kpi-label">${item.suppressed ? 'Not enough responses' : 'Average Score'}</div>
+            ${createWaveDeltaHTML(item.average, item.previousAverage, item.previousWave)}
         </div>
     `).join('');
 
     return `
         <div class="kpi-container kpi-comparison-mode">
-            <div class="kpi-comparison-title">${modeLabel} Comparison</div>
-            <div class="kpi-comparison-cards">
+            <div class="kpi-comparison-title">${modeInfo.title}</div>
+            <div class="kpi-comparison-cards${items.length > KPI_CARDS_PER_ROW ? ' kpi-comparison-scroll' : ''}">
                 ${cardsHTML}
             </div>
         </div>
@@ -198,51 +138,55 @@ function createComparisonModeKPIHTML(mode, items) {
 }
 
 /**
- * Get current KPI data based on filter state
+ * Get KPI data from the latest results
+ * @param {Object|null} analysis - Results from AnalysisModule, or null before any data has loaded
  * @returns {Object} KPI data object
  */
-function getCurrentKPIData() {
-    // Check if CSV data is available
-    if (!window.CSVLoaderModule || !window.CSVLoaderModule.isCSVDataLoaded()) {
+function getCurrentKPIData(analysis) {
+    if (!analysis) {
         return {
             totalResponses: 0,
             averageResponse: 0,
             filteredResponses: 0,
             filteredPercent: 0,
             averageFilteredResponse: 0,
-            hasFilters: false
+            hasFilters: false,
+            filteredSuppressed: false,
+            reference: 'company',
+            referenceSuppressed: false,
+            referenceAverage: null,
+            previousWave: null,
+            previousAverageResponse: null,
+            previousAverageFilteredResponse: null
         };
     }
 
-    const allData = window.CSVLoaderModule.getCSVData();
-    const totalResponses = allData.length;
-    const averageResponse = calculateAverageResponse(allData);
+    const all = analysis.series.find(item => item.id === 'all');
+    const filtered = analysis.series.find(item => item.id === 'filtered') || all;
+    const rest = analysis.series.find(item => item.id === 'rest');
+    const totalResponses = all.count;
 
-    // Check if any filters are applied
-    const filters = window.UtilsModule.getCurrentFiltersForCsv();
-    const hasFilters = (filters.roleMode === 'compare' && filters.selectedRoles.length > 0) ||
-        (filters.locationMode === 'compare' && filters.selectedLocations.length > 0);
-
-    let filteredData = allData;
-    let filteredResponses = totalResponses;
-    let filteredPercent = 100;
-    let averageFilteredResponse = averageResponse;
-
-    if (hasFilters) {
-        // Apply filters to get filtered dataset
-        filteredData = window.CSVLoaderModule.getFilteredData(filters);
-        filteredResponses = filteredData.length;
-        filteredPercent = totalResponses > 0 ? (filteredResponses / totalResponses) * 100 : 0;
-        averageFilteredResponse = calculateAverageResponse(filteredData);
+    // The rest of the company has no average when the filters cover everyone, and groups
+    // too small to show have none either
+    let referenceAverage = roundScore(all.average);
+    if (rest) {
+        referenceAverage = rest.count > 0 ? roundScore(rest.average) : null;
     }
 
     return {
         totalResponses,
-        averageResponse: Math.round(averageResponse * 10) / 10, // Round to 1 decimal place
-        filteredResponses,
-        filteredPercent, // Keep raw percentage for rounding in display
-        averageFilteredResponse: Math.round(averageFilteredResponse * 10) / 10, // Round to 1 decimal place
-        hasFilters
+        averageResponse: roundScore(all.average),
+        filteredResponses: filtered.count,
+        filteredPercent: totalResponses > 0 ? (filtered.count / totalResponses) * 100 : 0, // Keep raw percentage for rounding in display
+        averageFilteredResponse: roundScore(filtered.average),
+        hasFilters: analysis.hasFilters,
+        filteredSuppressed: !!filtered.suppressed,
+        reference: rest ? 'rest' : 'company',
+        referenceSuppressed: !!(rest && rest.suppressed),
+        referenceAverage,
+        previousWave: analysis.previousWave,
+        previousAverageResponse: all.previous ? roundScore(all.previous.average) : null,
+        previousAverageFilteredResponse: analysis.hasFilters && filtered.previous ? roundScore(filtered.previous.average) : null
     };
 }
 
@@ -252,7 +196,24 @@ function getCurrentKPIData() {
  * @returns {string} HTML string for KPI display
  */
 function createKPIHTML(kpiData) {
-    const { totalResponses, averageResponse, filteredResponses, filteredPercent, averageFilteredResponse, hasFilters } = kpiData;
+    const { totalResponses, averageResponse, filteredResponses, filteredPercent, averageFilteredResponse, hasFilters,
+        filteredSuppressed, reference, referenceSuppressed, referenceAverage, previousWave, previousAverageResponse, previousAverageFilteredResponse } = kpiData;
+    const totalDeltaHTML = createWaveDeltaHTML(averageResponse, previousAverageResponse, previousWave);
+
+    // Say what the filtered average is colored against
+    const referenceName = reference === 'rest' ? 'the rest of the company' : 'the whole company';
+    const referenceColorClass = referenceAverage === null || averageFilteredResponse === null
+        ? 'score-neutral'
+        : getAverageScoreColorClass(averageFilteredResponse, referenceAverage);
+    let referenceHTML = `<div class="kpi-reference">vs ${referenceAverage} for ${referenceName}</div>`;
+    if (referenceSuppressed) {
+        referenceHTML = '<div class="kpi-reference">Too few responses outside the filters to show</div>';
+    } else if (referenceAverage === null) {
+        referenceHTML = '<div class="kpi-reference">No one outside the filters to compare with</div>';
+    }
+    if (filteredSuppressed) {
+        referenceHTML = '';
+    }
 
     if (hasFilters) {
         // 4-column layout when filters are applied with grouped sections
@@ -266,8 +227,9 @@ function createKPIHTML(kpiData) {
                             <div class="kpi-label">Responses</div>
                         </div>
                         <div class="kpi-card">
-                            <div class="kpi-value">${averageResponse}</div>
-                            <div class="kpi-label">Average Overall Score</div>
+                            <div class="kpi-value">${formatKPIScore(averageResponse)}</div>
+                            <div class="kpi-label">${averageResponse === null ? 'Not enough responses' : 'Average Overall Score'}</div>
+                            ${totalDeltaHTML}
                         </div>
                     </div>
                 </div>
@@ -279,8 +241,10 @@ function createKPIHTML(kpiData) {
                             <div class="kpi-label">Responses<br/>(${Math.round(filteredPercent)}% of total)</div>
                         </div>
                         <div class="kpi-card">
-                            <div class="kpi-value ${getAverageScoreColorClass(averageFilteredResponse, averageResponse)}">${averageFilteredResponse}</div>
-                            <div class="kpi-label">Average Overall Score</div>
+                            <div class="kpi-value ${referenceColorClass}">${formatKPIScore(averageFilteredResponse)}</div>
+                            <div class="kpi-label">${filteredSuppressed ? 'Not enough responses' : 'Average Overall Score'}</div>
+                            ${referenceHTML}
+                            ${createWaveDeltaHTML(averageFilteredResponse, previousAverageFilteredResponse, previousWave)}
                         </div>
                     </div>
                 </div>
@@ -295,8 +259,9 @@ function createKPIHTML(kpiData) {
                     <div class="kpi-label">Responses</div>
                 </div>
                 <div class="kpi-card">
-                    <div class="kpi-value">${averageResponse}</div>
-                    <div class="kpi-label">Average Overall Score</div>
+                    <div class="kpi-value">${formatKPIScore(averageResponse)}</div>
+                    <div class="kpi-label">${averageResponse === null ? 'Not enough responses' : 'Average Overall Score'}</div>
+                    ${totalDeltaHTML}
                 </div>
             </div>
         `;
@@ -305,45 +270,53 @@ function createKPIHTML(kpiData) {
 
 /**
  * Update KPI display
+ * @param {Object|null} analysis - Results from AnalysisModule (defaults to the latest)
  */
-function updateKPIDisplay() {
+function updateKPIDisplay(analysis = window.AnalysisModule?.getLatestAnalysis()) {
     const kpiContainer = document.getElementById('kpi-container');
     if (!kpiContainer) return;
 
-    const comparisonMode = getCurrentComparisonMode();
-
     // Handle comparison modes differently
-    if (comparisonMode === 'roles') {
-        const selectedRoles = getSelectedComparisonItems('roles');
-        kpiContainer.innerHTML = createComparisonModeKPIHTML('roles', selectedRoles);
-    } else if (comparisonMode === 'location') {
-        const selectedLocations = getSelectedComparisonItems('location');
-        kpiContainer.innerHTML = createComparisonModeKPIHTML('location', selectedLocations);
+    if (analysis && window.AnalysisModule.isComparisonMode(analysis.mode)) {
+        kpiContainer.innerHTML = createComparisonModeKPIHTML(analysis.mode, getComparisonItemsData(analysis));
     } else {
         // Default to baseline mode (original functionality)
-        const kpiData = getCurrentKPIData();
+        const kpiData = getCurrentKPIData(analysis);
         kpiContainer.innerHTML = createKPIHTML(kpiData);
     }
-
-    // Also update filter status when KPIs are updated
-    updateFilterStatus();
 }
 
 /**
  * Format a list of items with proper grammar
  * @param {Array} items - Array of items to format
+ * @param {string} conjunction - Word before the last item, 'and' or 'or'
  * @returns {string} Formatted string with proper grammar
  */
-function formatListWithGrammar(items) {
+function formatListWithGrammar(items, conjunction = 'and') {
     if (!items || items.length === 0) return '';
 
     if (items.length === 1) {
         return items[0];
     } else if (items.length === 2) {
-        return items.join(' and ');
+        return items.join(` ${conjunction} `);
     } else {
-        return items.slice(0, -1).join(', ') + ', and ' + items[items.length - 1];
+        return items.slice(0, -1).join(', ') + `, ${conjunction} ` + items[items.length - 1];
+    }
+}
+
+/**
+ * Describe the answer filter as the end of the filter status sentence
+ * @param {Object} answerFilter - Answer filter from UtilsModule.getCurrentFiltersForCsv()
+ * @returns {string} e.g. "who answered Disagree or Strongly disagree to Q4 (Health)"
+ */
+function describeAnswerFilter(answerFilter) {
+    const answers = formatListWithGrammar(answerFilter.labels, 'or');
+    const question = window.DataModule.getAnswerFilterQuestions().find(item => item.id === answerFilter.questionId);
+
+    if (question && question.type === 'open-ended') {
+        return `whose ${answerFilter.questionId} answer was categorized as ${answers}`;
     }
+    return `who answered ${answers} to ${answerFilter.questionId} (${answerFilter.questionText})`;
 }
 
 /**
@@ -355,47 +328,74 @@ function generateFilterStatusText() {
 
     if (!filters ||
         (!filters.selectedRoles || filters.selectedRoles.length === 0) &&
-        (!filters.selectedLocations || filters.selectedLocations.length === 0)) {
+        (!filters.selectedLocations || filters.selectedLocations.length === 0) &&
+        !filters.selectedAnswers) {
         return '';
     }
 
     const roleDisplayNames = [];
     const locationDisplayNames = [];
 
-    // Convert selected roles to display names
-    if (filters.selectedRoles && filters.selectedRoles.length > 0) {
-        filters.selectedRoles.forEach(csvValue => {
-            const roleOption = window.DataModule.ROLE_OPTIONS.find(option => option.csvValue === csvValue);
-            if (roleOption) {
-                roleDisplayNames.push(roleOption.text);
+    // Convert selected roles to display names, naming whole families rather than their roles
+    const roleSelection = window.RoleFamiliesModule.describeRoleSelection(filters.selectedRoles || []);
+    roleDisplayNames.push(...roleSelection.names);
+
+    // Convert selected locations to display names, naming whole regions rather than their shops
+    const locationSelection = window.LocationHierarchyModule.describeLocationSelection(filters.selectedLocations || []);
+    locationDisplayNames.push(...locationSelection.names);
+
+    const excludesRoles = filters.roleMode === 'exclude' && roleDisplayNames.length > 0;
+    const excludesLocations = filters.locationMode === 'exclude' && locationDisplayNames.length > 0;
+
+    // With an answer filter or an exclusion the sentence describes people rather than roles or locations,
+    // e.g. "everyone except Supervisors and Fabrication leads outside Florence, SC"
+    if (filters.selectedAnswers || excludesRoles || excludesLocations) {
+        // A family name reads as roles ("Production roles"), a role name as people ("Welders")
+        let roleNames = `${formatListWithGrammar(roleDisplayNames)}s`;
+        if (roleSelection.grouped) {
+            roleNames = `${formatListWithGrammar(roleDisplayNames)} roles`;
+        } else if (excludesRoles) {
+            roleNames = formatListWithGrammar(roleDisplayNames.map(name => `${name}s`));
+        }
+        const locationNames = formatListWithGrammar(locationDisplayNames);
+        const wherePeople = excludesLocations ? `outside ${locationNames}` : `in ${locationNames}`;
+
+        let people;
+        if (roleDisplayNames.length > 0) {
+            people = excludesRoles ? `everyone except ${roleNames}` : roleNames;
+            if (locationDisplayNames.length > 0) {
+                people += ` ${wherePeople}`;
             }
-        });
-    }
+        } else if (locationDisplayNames.length > 0) {
+            people = `${excludesLocations ? 'everyone' : 'respondents'} ${wherePeople}`;
+        } else {
+            people = 'respondents';
+        }
 
-    // Convert selected locations to display names
-    if (filters.selectedLocations && filters.selectedLocations.length > 0) {
-        filters.selectedLocations.forEach(csvValue => {
-            const locationOption = window.DataModule.LOCATION_OPTIONS.find(option => option.csvValue === csvValue);
-            if (locationOption) {
-                locationDisplayNames.push(locationOption.text);
-            }
-        });
+        return filters.selectedAnswers
+            ? `Filtered to show ${people} ${describeAnswerFilter(filters.selectedAnswers)}.`
+            : `Filtered to show ${people}.`;
     }
 
     // Build the filter status text based on what filters are applied
     let statusText = 'Filtered to show ';
 
+    // Use singular/plural based on count; a named region already says what it is
+    const locationWord = locationSelection.grouped ? ''
+        : locationDisplayNames.length === 1 ? ' location' : ' locations';
+
     if (roleDisplayNames.length > 0 && locationDisplayNames.length > 0) {
-        // Both roles and locations are filtered
-        const locationWord = locationDisplayNames.length === 1 ? 'location' : 'locations';
-        statusText += `${formatListWithGrammar(roleDisplayNames)}s in ${formatListWithGrammar(locationDisplayNames)} ${locationWord} only.`;
+        // Both roles and locations are filtered; a family name reads as roles ("Production roles")
+        const roleNames = roleSelection.grouped
+            ? `${formatListWithGrammar(roleDisplayNames)} roles`
+            : `${formatListWithGrammar(roleDisplayNames)}s`;
+        statusText += `${roleNames} in ${formatListWithGrammar(locationDisplayNames)}${locationWord} only.`;
     } else if (roleDisplayNames.length > 0) {
         // Only roles are filtered - always use "roles" (plural) since there are multiple people in each role
         statusText += `${formatListWithGrammar(roleDisplayNames)} roles only.`;
     } else if (locationDisplayNames.length > 0) {
-        // Only locations are filtered - use singular/plural based on count
-        const locationWord = locationDisplayNames.length === 1 ? 'location' : 'locations';
-        statusText += `${formatListWithGrammar(locationDisplayNames)} ${locationWord} only.`;
+        // Only locations are filtered
+        statusText += `${formatListWithGrammar(locationDisplayNames)}${locationWord} only.`;
     }
 
     return statusText;
@@ -411,9 +411,25 @@ function updateFilterStatus() {
     if (!filterStatusContainer || !filterStatusText) return;
 
     const statusText = generateFilterStatusText();
+    const crossFilter = window.CrossFilterModule ? window.CrossFilterModule.getCrossFilter() : null;
+    const commentSearch = window.CommentSearchModule ? window.CommentSearchModule.getCommentSearch() : null;
+
+    // A cross-filter picked from a chart and a comment search show as removable chips beside the sentence
+    const chipsContainer = document.getElementById('filter-status-chips');
+    if (chipsContainer) {
+        chipsContainer.innerHTML = '';
+        if (window.CrossFilterModule) {
+            window.CrossFilterModule.renderCrossFilterChip(chipsContainer);
+        }
+        if (window.CommentSearchModule) {
+            window.CommentSearchModule.renderCommentSearchChip(chipsContainer);
+        }
+    }
 
-    if (statusText) {
-        filterStatusText.textContent = statusText;
+    filterStatusText.textContent = statusText;
+    filterStatusText.classList.toggle('hidden', !statusText);
+
+    if (statusText || crossFilter || commentSearch) {
         filterStatusContainer.classList.remove('hidden');
     } else {
         filterStatusContainer.classList.add('hidden');
@@ -445,13 +461,32 @@ function initializeKPIDisplay() {
     updateFilterStatus();
 }
 
+/**
+ * Re-render the KPI cards whenever new results arrive
+ */
+function subscribeKPIDisplay() {
+    window.StoreModule.subscribe(['analysis'], function (state) {
+        updateKPIDisplay(state.analysis);
+    });
+}
+
+/**
+ * Re-describe the filters whenever the view changes
+ */
+function subscribeFilterStatus() {
+    window.StoreModule.subscribe(['view'], function () {
+        updateFilterStatus();
+    });
+}
+
 // Export functions for use in other modules
 window.KPIModule = {
-    calculateAverageResponse,
     getCurrentKPIData,
     updateKPIDisplay,
     initializeKPIDisplay,
+    subscribeKPIDisplay,
     updateFilterStatus,
-    getSelectedComparisonItems,
-    getComparisonModeColorClass
+    subscribeFilterStatus,
+    getComparisonModeColorClass,
+    formatListWithGrammar
 }; 
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Location Hierarchy Module - Regions, States and Shops
+ * Groups the shop locations into states and regions so a whole region can be filtered at once
+ * and the location comparison can compare states or regions instead of single shops.
+ *
+ * The regions come from "hierarchy" under the location demographic in the survey schema.
+ * Each shop's state is the part of its CSV value before the separator,
+ * e.g. "South Carolina" in "South Carolina - Florence Shop".
+ */
+
+// Region for shops whose state is not listed under any region, or that have no state
+const OTHER_LOCATION_GROUP = 'Other';
+
+// Default text between the state and the shop name in location CSV values
+const DEFAULT_STATE_SEPARATOR = ' - ';
+
+// Groups built from the loaded data. Each is { value, text, csvValues } where value is a clean ID
+// ('region-carolinas', 'state-south-carolina') and csvValues are the shops in the group.
+let regionGroups = [];
+let stateGroups = [];
+
+/**
+ * Check whether the schema declares a location hierarchy
+ * @returns {boolean} True when regions are configured
+ */
+function hasLocationHierarchy() {
+    return !!window.SchemaModule.getLocationHierarchy();
+}
+
+/**
+ * Get the state a location CSV value belongs to
+ * @param {string} csvValue - Location CSV value, e.g. "South Carolina - Florence Shop"
+ * @returns {string} State name, or 'Other' when the value has no state part
+ */
+function getStateForLocation(csvValue) {
+    const hierarchy = window.SchemaModule.getLocationHierarchy();
+    const separator = (hierarchy && hierarchy.stateSeparator) || DEFAULT_STATE_SEPARATOR;
+    const index = csvValue.indexOf(separator);
+
+    return index > 0 ? csvValue.slice(0, index).trim() : OTHER_LOCATION_GROUP;
+}
+
+/**
+ * Get the region a state belongs to
+ * @param {string} state - State name
+ * @returns {string} Region name, or 'Other' when no region lists the state
+ */
+function getRegionForState(state) {
+    const hierarchy = window.SchemaModule.getLocationHierarchy();
+    const regions = hierarchy ? hierarchy.regions : {};
+
+    return Object.keys(regions).find(region => regions[region].includes(state)) || OTHER_LOCATION_GROUP;
+}
+
+/**
+ * Build the state and region groups for the locations found in the data
+ * @param {Array} locationOptions - Location options from DataModule { value, text, csvValue }
+ */
+function buildLocationHierarchy(locationOptions) {
+    regionGroups = [];
+    stateGroups = [];
+
+    if (!hasLocationHierarchy()) return;
+
+    const slugify = window.DataModule.slugify;
+    const statesByName = new Map();
+    const regionsByName = new Map();
+
+    locationOptions.forEach(option => {
+        const state = getStateForLocation(option.csvValue);
+        const region = getRegionForState(state);
+
+        if (!statesByName.has(state)) {
+            statesByName.set(state, { value: `state-${slugify(state)}`, text: state, csvValues: [] });
+        }
+        statesByName.get(state).csvValues.push(option.csvValue);
+
+        if (!regionsByName.has(region)) {
+            regionsByName.set(region, { value: `region-${slugify(region)}`, text: region, csvValues: [] });
+        }
+        regionsByName.get(region).csvValues.push(option.csvValue);
+    });
+
+    // Regions keep the order of the schema, with 'Other' last; states are alphabetical
+    const regionOrder = Object.keys(window.SchemaModule.getLocationHierarchy().regions).concat(OTHER_LOCATION_GROUP);
+    regionGroups = regionOrder.filter(region => regionsByName.has(region)).map(region => regionsByName.get(region));
+    stateGroups = Array.from(statesByName.values()).sort((a, b) => a.text.localeCompare(b.text));
+}
+
+/**
+ * Get the options for comparing locations at a level of the hierarchy
+ * @param {string} level - 'shop', 'state' or 'region'
+ * @returns {Array} Array of { value, text, csvValues }
+ */
+function getLocationLevelOptions(level) {
+    if (level === 'region' && regionGroups.length > 0) return regionGroups;
+    if (level === 'state' && stateGroups.length > 0) return stateGroups;
+
+    return window.DataModule.getLocationOptions().map(option => ({
+        value: option.value,
+        text: option.text,
+        csvValues: [option.csvValue],
+        unmapped: option.unmapped
+    }));
+}
+
+/**
+ * Get the regions, e.g. to offer them in the location filter
+ * @returns {Array} Array of { value, text, csvValues }
+ */
+function getRegionGroups() {
+    return regionGroups;
+}
+
+/**
+ * Find a region by its ID
+ * @param {string} value - Region ID, e.g. 'region-carolinas'
+ * @returns {Object|undefined} Region { value, text, csvValues }
+ */
+function findRegionGroup(value) {
+    return regionGroups.find(group => group.value === value);
+}
+
+/**
+ * Name a set of locations by the regions they make up, so a status sentence can say
+ * "the Carolinas region" instead of listing every Carolina shop
+ * @param {string[]} csvValues - Location CSV values
+ * @returns {Object} { names, grouped } where names are display names and grouped is true when a region was named
+ */
+function describeLocationSelection(csvValues) {
+    const remaining = new Set(csvValues);
+    const names = [];
+
+    regionGroups.forEach(group => {
+        // A region with a single shop reads better as the shop
+        if (group.csvValues.length > 1 && group.csvValues.every(csvValue => remaining.has(csvValue))) {
+            names.push(`the ${group.text} region`);
+            group.csvValues.forEach(csvValue => remaining.delete(csvValue));
+        }
+    });
+
+    const grouped = names.length > 0;
+    csvValues.filter(csvValue => remaining.has(csvValue)).forEach(csvValue => {
+        const option = window.DataModule.getLocationOptions().find(item => item.csvValue === csvValue);
+        if (option) {
+            names.push(option.text);
+        }
+    });
+
+    return { names, grouped };
+}
+
+// Export functions for use in other modules
+window.LocationHierarchyModule = {
+    hasLocationHierarchy,
+    getStateForLocation,
+    getRegionForState,
+    buildLocationHierarchy,
+    getLocationLevelOptions,
+    getRegionGroups,
+    findRegionGroup,
+    describeLocationSelection
+};
@@ -0,0 +1,132 @@
+/**
+ * Role Families Module - Production, Support and Leadership Groups
+ * Groups the roles into families so a whole family can be filtered at once and the roles
+ * comparison can compare families, which have larger counts than single roles.
+ *
+ * The families come from "families" under the role demographic in the survey schema,
+ * listing the role CSV values in each family.
+ */
+
+// Family for roles that no family lists
+const OTHER_ROLE_FAMILY = 'Other';
+
+// Families built from the loaded data. Each is { value, text, csvValues } where value is a clean ID
+// ('family-production') and csvValues are the roles in the family.
+let familyGroups = [];
+
+/**
+ * Check whether the schema declares role families
+ * @returns {boolean} True when families are configured
+ */
+function hasRoleFamilies() {
+    return !!window.SchemaModule.getRoleFamilies();
+}
+
+/**
+ * Get the family a role belongs to
+ * @param {string} csvValue - Role CSV value, e.g. "Welder"
+ * @returns {string} Family name, or 'Other' when no family lists the role
+ */
+function getFamilyForRole(csvValue) {
+    const families = window.SchemaModule.getRoleFamilies() || {};
+    return Object.keys(families).find(family => families[family].includes(csvValue)) || OTHER_ROLE_FAMILY;
+}
+
+/**
+ * Build the families for the roles found in the data
+ * @param {Array} roleOptions - Role options from DataModule { value, text, csvValue }
+ */
+function buildRoleFamilies(roleOptions) {
+    familyGroups = [];
+
+    if (!hasRoleFamilies()) return;
+
+    const slugify = window.DataModule.slugify;
+    const familiesByName = new Map();
+
+    roleOptions.forEach(option => {
+        const family = getFamilyForRole(option.csvValue);
+
+        if (!familiesByName.has(family)) {
+            familiesByName.set(family, { value: `family-${slugify(family)}`, text: family, csvValues: [] });
+        }
+        familiesByName.get(family).csvValues.push(option.csvValue);
+    });
+
+    // Families keep the order of the schema, with 'Other' last
+    const familyOrder = Object.keys(window.SchemaModule.getRoleFamilies()).concat(OTHER_ROLE_FAMILY);
+    familyGroups = familyOrder.filter(family => familiesByName.has(family)).map(family => familiesByName.get(family));
+}
+
+/**
+ * Get the options for comparing roles at a level
+ * @param {string} level - 'role' or 'family'
+ * @returns {Array} Array of { value, text, csvValues }
+ */
+function getRoleLevelOptions(level) {
+    if (level === 'family' && familyGroups.length > 0) return familyGroups;
+
+    return window.DataModule.getRoleOptions().map(option => ({
+        value: option.value,
+        text: option.text,
+        csvValues: [option.csvValue],
+        unmapped: option.unmapped
+    }));
+}
+
+/**
+ * Get the families, e.g. to offer them in the role filter
+ * @returns {Array} Array of { value, text, csvValues }
+ */
+function getFamilyGroups() {
+    return familyGroups;
+}
+
+/**
+ * Find a family by its ID
+ * @param {string} value - Family ID, e.g. 'family-production'
+ * @returns {Object|undefined} Family { value, text, csvValues }
+ */
+function findFamilyGroup(value) {
+    return familyGroups.find(group => group.value === value);
+}
+
+/**
+ * Name a set of roles by the families they make up, so a status sentence can say
+ * "Production roles" instead of listing every production role
+ * @param {string[]} csvValues - Role CSV values
+ * @returns {Object} { names, grouped } where names are display names and grouped is true when a family was named
+ */
+function describeRoleSelection(csvValues) {
+    const remaining = new Set(csvValues);
+    const names = [];
+
+    familyGroups.forEach(group => {
+        // A family with a single role reads better as the role
+        if (group.csvValues.length > 1 && group.csvValues.every(csvValue => remaining.has(csvValue))) {
+            names.push(group.text);
+            group.csvValues.forEach(csvValue => remaining.delete(csvValue));
+        }
+    });
+
+    const grouped = names.length > 0;
+    csvValues.filter(csvValue => remaining.has(csvValue)).forEach(csvValue => {
+        const option = window.DataModule.getRoleOptions().find(item => item.csvValue === csvValue);
+        if (option) {
+            names.push(option.text);
+        }
+    });
+
+    return { names, grouped };
+}
+
+// Export functions for use in other modules
+window.RoleFamiliesModule = {
+    hasRoleFamilies,
+    getFamilyForRole,
+    buildRoleFamilies,
+    getRoleLevelOptions,
+    getFamilyGroups,
+    findFamilyGroup,
+    describeRoleSelection
+};
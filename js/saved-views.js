@@ -0,0 +1,394 @@
+/**
+ * Saved Views Module - Named Filter and Comparison Views
+ * Saves the current filters or comparison under a name in this browser and switches back
+ * to it from the survey drawer. Views can be renamed, deleted, and exported or imported
+ * as a JSON file to share them with the team.
+ */
+
+const SAVED_VIEWS_STORAGE_KEY = 'steelfab-survey-saved-views';
+
+// Marks an exported file so other JSON files are not imported by mistake
+const SAVED_VIEWS_FILE_FORMAT = 'steelfab-survey-views';
+const SAVED_VIEWS_FILE_VERSION = 1;
+
+// Saved views in the order they were created: { id, name, state }
+let savedViews = [];
+
+// What the name dialog is being used for: { action: 'save' } or { action: 'rename', id }
+let nameDialogPurpose = null;
+
+/**
+ * Keep only the parts of a view that saved views store. The survey wave is left out,
+ * so a view saved for one wave shows the same slice of whichever wave is selected.
+ * @param {Object} state - View from UrlStateModule.getViewState() or an imported file
+ * @returns {Object|null} Clean view, or null if it is not a view
+ */
+function normalizeSavedViewState(state) {
+    if (!state || (state.mode !== 'baseline' && !window.AnalysisModule.isComparisonMode(state.mode))) {
+        return null;
+    }
+
+    const toIds = list => Array.isArray(list) ? list.filter(id => typeof id === 'string') : [];
+
+    const usesFilterSelection = window.UtilsModule.usesFilterSelection;
+
+    return {
+        mode: state.mode,
+        roleMode: usesFilterSelection(state.roleMode) ? state.roleMode : 'all',
+        locationMode: usesFilterSelection(state.locationMode) ? state.locationMode : 'all',
+        selectedRoles: toIds(state.selectedRoles),
+        selectedLocations: toIds(state.selectedLocations),
+        answerMode: state.answerMode === 'compare' ? 'compare' : 'all',
+        answerQuestion: typeof state.answerQuestion === 'string' ? state.answerQuestion : '',
+        selectedAnswers: toIds(state.selectedAnswers),
+        reference: state.reference === 'rest' ? 'rest' : 'company',
+        level: window.DataModule.normalizeComparisonLevel(state.mode, state.level),
+        compare: toIds(state.compare),
+        crossQuestion: typeof state.crossQuestion === 'string' ? state.crossQuestion : '',
+        crossCategory: typeof state.crossCategory === 'string' ? state.crossCategory : '',
+        searchQuery: typeof state.searchQuery === 'string' ? state.searchQuery : '',
+        searchQuestion: typeof state.searchQuestion === 'string' ? state.searchQuestion : '',
+        wave: null
+    };
+}
+
+/**
+ * Read the saved views from local storage
+ */
+function loadSavedViews() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SAVED_VIEWS_STORAGE_KEY) || '[]');
+        savedViews = Array.isArray(stored)
+            ? stored.filter(view => view && view.id && view.name && normalizeSavedViewState(view.state))
+            : [];
+    } catch (error) {
+        console.warn('Could not read saved views:', error);
+        savedViews = [];
+    }
+}
+
+/**
+ * Write the saved views to local storage
+ * @returns {boolean} True when they were stored
+ */
+function storeSavedViews() {
+    try {
+        localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, JSON.stringify(savedViews));
+        return true;
+    } catch (error) {
+        console.warn('Could not store saved views:', error);
+        showSavedViewsMessage('Saved views could not be stored in this browser.');
+        return false;
+    }
+}
+
+/**
+ * Create an ID for a new saved view
+ * @returns {string} Unique ID
+ */
+function createSavedViewId() {
+    return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Find a saved view by name, ignoring case
+ * @param {string} name - View name
+ * @returns {Object|undefined} Saved view
+ */
+function findSavedViewByName(name) {
+    const lowerName = name.toLowerCase();
+    return savedViews.find(view => view.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Show a short message under the saved views controls
+ * @param {string} message - Message to show, or empty string to clear
+ */
+function showSavedViewsMessage(message) {
+    const messageElement = document.getElementById('saved-views-message');
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.classList.toggle('hidden', !message);
+}
+
+/**
+ * Get the saved view picked in the select
+ * @returns {Object|undefined} Saved view
+ */
+function getPickedSavedView() {
+    const select = document.getElementById('saved-views-select');
+    return select ? savedViews.find(view => view.id === select.value) : undefined;
+}
+
+/**
+ * Enable the buttons that act on the picked view only while one is picked
+ */
+function updateSavedViewButtons() {
+    const hasPickedView = !!getPickedSavedView();
+    ['saved-view-rename-btn', 'saved-view-delete-btn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = !hasPickedView;
+    });
+
+    const exportButton = document.getElementById('saved-views-export-btn');
+    if (exportButton) exportButton.disabled = savedViews.length === 0;
+}
+
+/**
+ * Fill the select with the saved views
+ */
+function renderSavedViews() {
+    const select = document.getElementById('saved-views-select');
+    if (!select) return;
+
+    // View names are typed by users, so build options without innerHTML
+    select.innerHTML = '';
+    savedViews.forEach(view => {
+        const option = document.createElement('sl-option');
+        option.value = view.id;
+        option.textContent = view.name;
+        select.appendChild(option);
+    });
+
+    select.disabled = savedViews.length === 0;
+    select.placeholder = savedViews.length === 0 ? 'No saved views yet' : 'Choose a saved view';
+
+    syncPickedSavedView();
+}
+
+/**
+ * Pick the saved view that matches what is on screen, or none when nothing matches.
+ * Called whenever the view changes, so changing a filter by hand clears the picked view.
+ */
+function syncPickedSavedView() {
+    const select = document.getElementById('saved-views-select');
+    const view = window.StoreModule.getState().view;
+    if (!select || !view) return;
+
+    const serialize = window.UrlStateModule.serializeViewState;
+    const current = serialize(normalizeSavedViewState(view));
+    const match = savedViews.find(view => serialize(view.state) === current);
+
+    select.value = match ? match.id : '';
+    updateSavedViewButtons();
+}
+
+/**
+ * Open the name dialog for saving or renaming a view
+ * @param {Object} purpose - { action: 'save' } or { action: 'rename', id }
+ * @param {string} initialName - Name to start with
+ */
+function openSavedViewNameDialog(purpose, initialName) {
+    const dialog = document.getElementById('saved-view-name-dialog');
+    const input = document.getElementById('saved-view-name-input');
+    if (!dialog || !input) return;
+
+    nameDialogPurpose = purpose;
+    dialog.label = purpose.action === 'rename' ? 'Rename saved view' : 'Save current view';
+    input.value = initialName;
+    dialog.show();
+
+    // Focus once the dialog has opened
+    setTimeout(() => input.focus && input.focus(), 100);
+}
+
+/**
+ * Save or rename with the name entered in the dialog
+ */
+function submitSavedViewName() {
+    const dialog = document.getElementById('saved-view-name-dialog');
+    const input = document.getElementById('saved-view-name-input');
+    const name = input.value.trim();
+    if (!name || !nameDialogPurpose) return;
+
+    const existing = findSavedViewByName(name);
+
+    if (nameDialogPurpose.action === 'rename') {
+        const view = savedViews.find(item => item.id === nameDialogPurpose.id);
+        if (existing && existing !== view) {
+            showSavedViewsMessage(`There is already a view called "${existing.name}".`);
+            return;
+        }
+        if (view) view.name = name;
+        showSavedViewsMessage('');
+    } else {
+        const state = normalizeSavedViewState(window.UrlStateModule.getViewState());
+
+        // Saving under an existing name updates that view
+        if (existing) {
+            existing.state = state;
+            showSavedViewsMessage(`Updated "${existing.name}".`);
+        } else {
+            savedViews.push({ id: createSavedViewId(), name, state });
+            showSavedViewsMessage('');
+        }
+    }
+
+    storeSavedViews();
+    renderSavedViews();
+    dialog.hide();
+}
+
+/**
+ * Switch the dashboard to a saved view
+ * @param {Object} view - Saved view
+ */
+function applySavedView(view) {
+    showSavedViewsMessage('');
+    window.UrlStateModule.applyViewState(view.state);
+    window.StoreModule.dispatchViewChange({ source: 'saved-view' });
+}
+
+/**
+ * Delete the picked view after confirming
+ */
+function deletePickedSavedView() {
+    const view = getPickedSavedView();
+    if (!view || !window.confirm(`Delete the saved view "${view.name}"?`)) return;
+
+    savedViews = savedViews.filter(item => item !== view);
+    storeSavedViews();
+    renderSavedViews();
+}
+
+/**
+ * Download the saved views as a JSON file
+ */
+function exportSavedViews() {
+    const file = {
+        format: SAVED_VIEWS_FILE_FORMAT,
+        version: SAVED_VIEWS_FILE_VERSION,
+        views: savedViews.map(view => ({ name: view.name, state: view.state }))
+    };
+
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'steelfab-survey-views.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Add the views from an exported file. Views with a name that is already saved replace it.
+ * @param {File} file - JSON file from the file input
+ */
+async function importSavedViews(file) {
+    let contents;
+    try {
+        contents = JSON.parse(await file.text());
+    } catch (error) {
+        showSavedViewsMessage(`${file.name} is not a saved views file.`);
+        return;
+    }
+
+    if (!contents || contents.format !== SAVED_VIEWS_FILE_FORMAT || !Array.isArray(contents.views)) {
+        showSavedViewsMessage(`${file.name} is not a saved views file.`);
+        return;
+    }
+    if (contents.version > SAVED_VIEWS_FILE_VERSION) {
+        showSavedViewsMessage(`${file.name} was made by a newer version of the dashboard.`);
+        return;
+    }
+
+    let importedCount = 0;
+    contents.views.forEach(item => {
+        const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+        const state = item ? normalizeSavedViewState(item.state) : null;
+        if (!name || !state) return;
+
+        const existing = findSavedViewByName(name);
+        if (existing) {
+            existing.state = state;
+        } else {
+            savedViews.push({ id: createSavedViewId(), name, state });
+        }
+        importedCount++;
+    });
+
+    const skippedCount = contents.views.length - importedCount;
+    storeSavedViews();
+    renderSavedViews();
+    showSavedViewsMessage(`Imported ${importedCount} ${importedCount === 1 ? 'view' : 'views'}` +
+        (skippedCount > 0 ? `, skipped ${skippedCount} that could not be read.` : '.'));
+}
+
+/**
+ * Set up the saved views controls in the drawer and the name dialog
+ */
+function setupSavedViews() {
+    const select = document.getElementById('saved-views-select');
+    const saveButton = document.getElementById('saved-view-save-btn');
+    const renameButton = document.getElementById('saved-view-rename-btn');
+    const deleteButton = document.getElementById('saved-view-delete-btn');
+    const exportButton = document.getElementById('saved-views-export-btn');
+    const importButton = document.getElementById('saved-views-import-btn');
+    const fileInput = document.getElementById('saved-views-file-input');
+    const nameForm = document.getElementById('saved-view-name-form');
+
+    if (!select || !saveButton || !nameForm) {
+        console.warn('Could not set up saved views - missing elements');
+        return;
+    }
+
+    loadSavedViews();
+    renderSavedViews();
+
+    window.StoreModule.subscribe(['view'], syncPickedSavedView);
+
+    select.addEventListener('sl-change', function () {
+        const view = getPickedSavedView();
+        updateSavedViewButtons();
+        if (view) {
+            applySavedView(view);
+        }
+    });
+
+    // Keep the select's dropdown from toggling the drawer
+    ['sl-show', 'sl-hide', 'sl-after-show', 'sl-after-hide'].forEach(eventName => {
+        select.addEventListener(eventName, function (e) {
+            e.stopPropagation();
+        });
+    });
+
+    saveButton.addEventListener('click', function () {
+        const view = getPickedSavedView();
+        openSavedViewNameDialog({ action: 'save' }, view ? view.name : '');
+    });
+
+    renameButton.addEventListener('click', function () {
+        const view = getPickedSavedView();
+        if (view) {
+            openSavedViewNameDialog({ action: 'rename', id: view.id }, view.name);
+        }
+    });
+
+    deleteButton.addEventListener('click', deletePickedSavedView);
+    exportButton.addEventListener('click', exportSavedViews);
+
+    importButton.addEventListener('click', function () {
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', function () {
+        if (fileInput.files.length > 0) {
+            importSavedViews(fileInput.files[0]);
+        }
+
+        // Allow the same file to be picked again
+        fileInput.value = '';
+    });
+
+    nameForm.addEventListener('submit', function (e) {
+        e.preventDefault();
+        submitSavedViewName();
+    });
+}
+
+// Export functions for use in other modules
+window.SavedViewsModule = {
+    setupSavedViews
+};
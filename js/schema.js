@@ -0,0 +1,266 @@
+/**
+ * Schema Module - Survey Schema Manifest
+ * Loads the survey manifest that declares the questions, scales, dimension groups
+ * and filterable demographic columns. Other modules build themselves from it.
+ */
+
+// Manifest describing the current survey. A new survey only needs a new manifest.
+const SCHEMA_PATH = 'Data/survey-schema.json';
+
+// Smallest group whose results are shown when the schema does not set privacy.minGroupSize
+const DEFAULT_MIN_GROUP_SIZE = 5;
+
+let surveySchema = null;
+let displayNameMappings = {};
+
+/**
+ * Load and validate the survey schema
+ * @param {string} path - Path to the schema JSON file
+ * @returns {Promise<Object>} Promise that resolves to the schema
+ */
+async function loadSchema(path = SCHEMA_PATH) {
+    const response = await fetch(path);
+
+    if (!response.ok) {
+        throw new Error(`Could not load survey schema (HTTP ${response.status})`);
+    }
+
+    const schema = await response.json();
+    validateSchema(schema);
+    surveySchema = schema;
+    displayNameMappings = schema.displayNames ? await loadDisplayNames(schema.displayNames) : {};
+
+    return surveySchema;
+}
+
+/**
+ * Load the optional display-name and alias mapping for demographic values.
+ * The dashboard still works without it, so a failure only logs a warning.
+ * @param {string} path - Path to the mapping JSON file
+ * @returns {Promise<Object>} Promise that resolves to the mapping, keyed by demographic id
+ */
+async function loadDisplayNames(path) {
+    try {
+        const response = await fetch(path);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.warn(`Could not load display names from ${path}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Check that a schema has everything the dashboard relies on
+ * @param {Object} schema - Parsed schema JSON
+ */
+function validateSchema(schema) {
+    if (!schema || !Array.isArray(schema.questions) || schema.questions.length === 0) {
+        throw new Error('Survey schema must declare at least one question');
+    }
+
+    if (!Array.isArray(schema.groups)) {
+        throw new Error('Survey schema must declare its dimension groups');
+    }
+
+    if (!schema.demographics || !schema.demographics.role || !schema.demographics.location) {
+        throw new Error('Survey schema must declare role and location demographics');
+    }
+
+    const families = schema.demographics.role.families;
+    if (families && (typeof families !== 'object' || !Object.values(families).every(roles => Array.isArray(roles)))) {
+        throw new Error('Role families must map each family to a list of roles');
+    }
+
+    const hierarchy = schema.demographics.location.hierarchy;
+    if (hierarchy && (!hierarchy.regions || typeof hierarchy.regions !== 'object' ||
+        !Object.values(hierarchy.regions).every(states => Array.isArray(states)))) {
+        throw new Error('Location hierarchy must map each region to a list of states');
+    }
+
+    const minGroupSize = schema.privacy?.minGroupSize;
+    if (minGroupSize !== undefined && (!Number.isInteger(minGroupSize) || minGroupSize < 1)) {
+        throw new Error('privacy.minGroupSize must be a whole number of at least 1');
+    }
+
+    schema.questions.forEach(question => {
+        if (question.type === 'likert') {
+            if (!question.scoreColumn || !schema.scales?.[question.scale]) {
+                throw new Error(`Likert question ${question.id} needs a scoreColumn and a known scale`);
+            }
+            if (question.group && !schema.groups.some(group => group.name === question.group)) {
+                throw new Error(`Question ${question.id} belongs to undeclared group "${question.group}"`);
+            }
+        } else if (question.type === 'open-ended') {
+            if (!question.categoryColumn) {
+                throw new Error(`Open-ended question ${question.id} needs a categoryColumn`);
+            }
+        } else {
+            throw new Error(`Question ${question.id} has unknown type "${question.type}"`);
+        }
+    });
+}
+
+/**
+ * Get the loaded schema
+ * @returns {Object|null} The schema or null if not loaded
+ */
+function getSchema() {
+    return surveySchema;
+}
+
+/**
+ * Get the Likert (numeric) questions
+ * @returns {Array} Likert question definitions
+ */
+function getLikertQuestions() {
+    return surveySchema ? surveySchema.questions.filter(question => question.type === 'likert') : [];
+}
+
+/**
+ * Get the categorized open-ended questions
+ * @returns {Array} Open-ended question definitions
+ */
+function getOpenEndedQuestions() {
+    return surveySchema ? surveySchema.questions.filter(question => question.type === 'open-ended') : [];
+}
+
+/**
+ * Get the numeric score columns used in overall averages
+ * @returns {string[]} Score column names, e.g. ['Q3_num', 'Q4_num']
+ */
+function getScoreColumns() {
+    return getLikertQuestions().map(question => question.scoreColumn);
+}
+
+/**
+ * Get the dimension groups in display order
+ * @returns {Array} Group definitions { name, highlight }
+ */
+function getGroups() {
+    return surveySchema ? surveySchema.groups : [];
+}
+
+/**
+ * Get the score columns belonging to each dimension group
+ * @returns {Object} Object with group names as keys and arrays of score columns as values
+ */
+function getQuestionGroups() {
+    const questionGroups = {};
+
+    getGroups().forEach(group => {
+        questionGroups[group.name] = getLikertQuestions()
+            .filter(question => question.group === group.name)
+            .map(question => question.scoreColumn);
+    });
+
+    return questionGroups;
+}
+
+/**
+ * Get a Likert scale definition
+ * @param {string} name - Scale name, e.g. 'agreement'
+ * @returns {Object|null} Scale { min, max, labels }
+ */
+function getScale(name) {
+    return surveySchema?.scales?.[name] || null;
+}
+
+/**
+ * Convert a Likert answer to its numeric score using the question's scale.
+ * Labels match without regard to case, and reverse-coded questions are flipped
+ * so that a higher score is always more favorable.
+ * @param {Object} question - Likert question definition
+ * @param {string} answerText - Raw answer, e.g. "Agree"
+ * @returns {number|null} Score, or null when the answer is blank or not on the scale
+ */
+function scoreAnswer(question, answerText) {
+    return window.SurveyCore.scoreLikertAnswer(question, getScale(question.scale), answerText);
+}
+
+/**
+ * Get a demographic definition
+ * @param {string} id - 'role' or 'location'
+ * @returns {Object|null} Demographic { column, label }
+ */
+function getDemographic(id) {
+    return surveySchema?.demographics?.[id] || null;
+}
+
+/**
+ * Get the display names and aliases for a demographic's values
+ * @param {string} id - 'role' or 'location'
+ * @returns {Object} { displayNames, aliases } mapping CSV values to labels and variant spellings to CSV values
+ */
+function getDisplayNameMapping(id) {
+    const mapping = displayNameMappings[id] || {};
+    return {
+        displayNames: mapping.displayNames || {},
+        aliases: mapping.aliases || {}
+    };
+}
+
+/**
+ * Get the CSV column holding respondent roles
+ * @returns {string} Column name
+ */
+function getRoleColumn() {
+    return getDemographic('role')?.column || 'Role';
+}
+
+/**
+ * Get the CSV column holding respondent locations
+ * @returns {string} Column name
+ */
+function getLocationColumn() {
+    return getDemographic('location')?.column || 'Location';
+}
+
+/**
+ * Get the role families that group roles for filtering and comparison
+ * @returns {Object|null} Family names mapped to role CSV values, or null
+ */
+function getRoleFamilies() {
+    return getDemographic('role')?.families || null;
+}
+
+/**
+ * Get the location hierarchy that groups shops into states and regions
+ * @returns {Object|null} { stateSeparator, regions } where regions maps region names to state names, or null
+ */
+function getLocationHierarchy() {
+    return getDemographic('location')?.hierarchy || null;
+}
+
+/**
+ * Get the smallest group of respondents whose scores and comments may be shown.
+ * Smaller groups could identify individuals, so the survey engine withholds their results.
+ * @returns {number} Minimum number of respondents; 1 turns the protection off
+ */
+function getMinGroupSize() {
+    return surveySchema?.privacy?.minGroupSize ?? DEFAULT_MIN_GROUP_SIZE;
+}
+
+// Export functions for use in other modules
+window.SchemaModule = {
+    loadSchema,
+    getSchema,
+    getLikertQuestions,
+    getOpenEndedQuestions,
+    getScoreColumns,
+    getGroups,
+    getQuestionGroups,
+    getScale,
+    scoreAnswer,
+    getDemographic,
+    getDisplayNameMapping,
+    getRoleColumn,
+    getLocationColumn,
+    getRoleFamilies,
+    getLocationHierarchy,
+    getMinGroupSize
+};
@@ -0,0 +1,451 @@
+/**
+ * Segments Module - Custom Segments for Segment Comparison
+ * Lets users define named segments as combinations of roles, locations and answers,
+ * such as "Carolinas production roles", and compare them side by side.
+ * Segments are kept in this browser, like saved views.
+ */
+
+const SEGMENTS_STORAGE_KEY = 'steelfab-survey-segments';
+
+// Segments in the order they were created: { id, name, roles, locations, question, answers }
+// where roles, locations and answers are clean option IDs and question is a question ID or ''
+let segments = [];
+
+// ID of the segment the dialog is editing, or null when it is creating one
+let editingSegmentId = null;
+
+/**
+ * Keep only the parts of a segment that are stored
+ * @param {Object} segment - Segment from local storage
+ * @returns {Object|null} Clean segment, or null if it is not a segment
+ */
+function normalizeSegment(segment) {
+    if (!segment || typeof segment.id !== 'string' || typeof segment.name !== 'string' || !segment.name.trim()) {
+        return null;
+    }
+
+    const toIds = list => Array.isArray(list) ? list.filter(id => typeof id === 'string') : [];
+    const question = typeof segment.question === 'string' ? segment.question : '';
+
+    return {
+        id: segment.id,
+        name: segment.name.trim(),
+        roles: toIds(segment.roles),
+        locations: toIds(segment.locations),
+        question,
+        answers: question ? toIds(segment.answers) : []
+    };
+}
+
+/**
+ * Read the segments from local storage
+ */
+function loadSegments() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SEGMENTS_STORAGE_KEY) || '[]');
+        segments = Array.isArray(stored) ? stored.map(normalizeSegment).filter(Boolean) : [];
+    } catch (error) {
+        console.warn('Could not read segments:', error);
+        segments = [];
+    }
+}
+
+/**
+ * Write the segments to local storage
+ * @returns {boolean} True when they were stored
+ */
+function storeSegments() {
+    try {
+        localStorage.setItem(SEGMENTS_STORAGE_KEY, JSON.stringify(segments));
+        return true;
+    } catch (error) {
+        console.warn('Could not store segments:', error);
+        showSegmentsMessage('Segments could not be stored in this browser.');
+        return false;
+    }
+}
+
+/**
+ * Put the segments in the dashboard's store, with the view in case the segments picked for comparison changed
+ */
+function dispatchSegmentsChange() {
+    window.StoreModule.dispatch({
+        type: 'segments/changed',
+        segments: segments.slice(),
+        view: window.CSVLoaderModule.isCSVDataLoaded() ? window.UrlStateModule.getViewState() : null
+    });
+}
+
+/**
+ * Create an ID for a new segment
+ * @returns {string} Unique ID
+ */
+function createSegmentId() {
+    return `segment-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Find a segment by name, ignoring case
+ * @param {string} name - Segment name
+ * @returns {Object|undefined} Segment
+ */
+function findSegmentByName(name) {
+    const lowerName = name.toLowerCase();
+    return segments.find(segment => segment.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Get the CSV values for option IDs
+ * @param {string[]} ids - Clean option IDs
+ * @param {Array} options - Role or location options from DataModule { value, csvValue }
+ * @returns {string[]} CSV values of the IDs found in the options
+ */
+function getSegmentCsvValues(ids, options) {
+    return ids
+        .map(id => options.find(option => option.value === id))
+        .filter(Boolean)
+        .map(option => option.csvValue);
+}
+
+/**
+ * Get the filter spec for the respondents in a segment
+ * @param {Object} segment - Segment
+ * @returns {Object|null} Filter spec { roles, locations, answers }, or null when the loaded data
+ *                        has none of the segment's roles, locations or answers
+ */
+function getSegmentSpec(segment) {
+    const roles = getSegmentCsvValues(segment.roles, window.DataModule.getRoleOptions());
+    const locations = getSegmentCsvValues(segment.locations, window.DataModule.getLocationOptions());
+
+    // An empty list means "everyone", so a segment whose picks are all missing cannot be compared
+    if ((segment.roles.length > 0 && roles.length === 0) || (segment.locations.length > 0 && locations.length === 0)) {
+        return null;
+    }
+
+    let answers = [];
+    if (segment.question) {
+        const answerFilter = window.UtilsModule.convertAnswerIdsToCsvFilter(segment.question, segment.answers);
+        if (!answerFilter) return null;
+        answers = [{ column: answerFilter.column, values: answerFilter.values }];
+    }
+
+    return { roles, locations, answers };
+}
+
+/**
+ * Get the segments that can be compared in the loaded data, as comparison options
+ * @returns {Array} Array of { value, text, spec }
+ */
+function getSegmentOptions() {
+    return segments
+        .map(segment => ({ value: segment.id, text: segment.name, spec: getSegmentSpec(segment) }))
+        .filter(option => option.spec);
+}
+
+/**
+ * Describe who a segment covers, e.g. "Production roles in the Carolinas region, answering Agree to Q4"
+ * @param {Object} segment - Segment
+ * @returns {string} Description
+ */
+function describeSegment(segment) {
+    const spec = getSegmentSpec(segment);
+    if (!spec) {
+        return 'Not found in the loaded data';
+    }
+
+    const formatList = window.KPIModule.formatListWithGrammar;
+    const roleSelection = window.RoleFamiliesModule.describeRoleSelection(spec.roles);
+    const locationNames = window.LocationHierarchyModule.describeLocationSelection(spec.locations).names;
+
+    // A family name reads as roles ("Production roles"), a role name as people ("Welders")
+    let description = 'Everyone';
+    if (roleSelection.names.length > 0) {
+        description = roleSelection.grouped
+            ? `${formatList(roleSelection.names)} roles`
+            : formatList(roleSelection.names.map(name => `${name}s`));
+    }
+    if (locationNames.length > 0) {
+        description += ` in ${formatList(locationNames)}`;
+    }
+    if (segment.question) {
+        const answerFilter = window.UtilsModule.convertAnswerIdsToCsvFilter(segment.question, segment.answers);
+        description += `, answering ${formatList(answerFilter.labels, 'or')} to ${segment.question}`;
+    }
+
+    return description;
+}
+
+/**
+ * Show a short message under the segments list
+ * @param {string} message - Message to show, or empty string to clear
+ */
+function showSegmentsMessage(message) {
+    const messageElement = document.getElementById('segments-message');
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.classList.toggle('hidden', !message);
+}
+
+/**
+ * Show a message in the segment dialog, e.g. why the segment could not be saved
+ * @param {string} message - Message to show, or empty string to clear
+ */
+function showSegmentDialogMessage(message) {
+    const messageElement = document.getElementById('segment-dialog-message');
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.classList.toggle('hidden', !message);
+}
+
+/**
+ * Get the values of a multi-select, such as the segment dialog's role select
+ * @param {string} selectId - ID of the select
+ * @returns {string[]} Picked option IDs
+ */
+function getSegmentSelectValue(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select || !select.value) return [];
+    return (Array.isArray(select.value) ? select.value : [select.value]).filter(Boolean);
+}
+
+/**
+ * Fill the comparison select with the segments the loaded data has, keeping the picks that still exist
+ * @param {string[]} extraPicks - Segment IDs to pick as well, e.g. a segment that was just created
+ */
+function refreshSegmentsComparisonSelect(extraPicks = []) {
+    const select = document.getElementById('segments-comparison-select');
+    if (!select || !window.CSVLoaderModule.isCSVDataLoaded()) return;
+
+    const picked = getSegmentSelectValue('segments-comparison-select').concat(extraPicks);
+    window.DataModule.populateComparisonSelectOptions(select, 'segments');
+
+    const available = getSegmentOptions().map(option => option.value);
+    select.value = picked.filter((id, index) => available.includes(id) && picked.indexOf(id) === index);
+}
+
+/**
+ * Show the segments with buttons to edit or delete them
+ */
+function renderSegmentsList() {
+    const list = document.getElementById('segments-list');
+    if (!list) return;
+
+    // Segment names are typed by users, so build the list without innerHTML
+    list.innerHTML = '';
+    segments.forEach(segment => {
+        const item = document.createElement('li');
+        item.className = 'segment-item';
+
+        const text = document.createElement('div');
+        text.className = 'segment-item-text';
+
+        const name = document.createElement('span');
+        name.className = 'segment-item-name';
+        name.textContent = segment.name;
+
+        const description = document.createElement('span');
+        description.className = 'segment-item-description';
+        description.textContent = window.CSVLoaderModule.isCSVDataLoaded() ? describeSegment(segment) : '';
+
+        text.append(name, description);
+
+        const editButton = document.createElement('sl-button');
+        editButton.size = 'small';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => openSegmentDialog(segment));
+
+        const deleteButton = document.createElement('sl-button');
+        deleteButton.size = 'small';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteSegment(segment));
+
+        item.append(text, editButton, deleteButton);
+        list.appendChild(item);
+    });
+
+    list.classList.toggle('hidden', segments.length === 0);
+}
+
+/**
+ * Show the segments in the list and the comparison select
+ * @param {string[]} extraPicks - Segment IDs to pick in the comparison select as well
+ */
+function renderSegments(extraPicks = []) {
+    renderSegmentsList();
+    refreshSegmentsComparisonSelect(extraPicks);
+}
+
+/**
+ * Fill the answer select of the segment dialog for the picked question
+ * @param {string} questionId - Question ID, or '' for no answer filter
+ */
+function populateSegmentAnswerSelect(questionId) {
+    const answerSelect = document.getElementById('segment-answer-select');
+    if (!answerSelect) return;
+
+    answerSelect.value = [];
+    if (questionId) {
+        window.DataModule.populateAnswerValueOptions(answerSelect, questionId);
+    } else {
+        answerSelect.innerHTML = '';
+    }
+    answerSelect.disabled = !questionId;
+}
+
+/**
+ * Open the segment dialog to create a segment or edit one
+ * @param {Object|null} segment - Segment to edit, or null to create one
+ */
+function openSegmentDialog(segment = null) {
+    const dialog = document.getElementById('segment-dialog');
+    const nameInput = document.getElementById('segment-name-input');
+    const roleSelect = document.getElementById('segment-role-select');
+    const locationSelect = document.getElementById('segment-location-select');
+    const questionSelect = document.getElementById('segment-question-select');
+    const answerSelect = document.getElementById('segment-answer-select');
+    if (!dialog || !nameInput || !roleSelect || !locationSelect || !questionSelect || !answerSelect) return;
+
+    if (!window.CSVLoaderModule.isCSVDataLoaded()) {
+        showSegmentsMessage('Segments can be defined once survey data has loaded.');
+        return;
+    }
+
+    editingSegmentId = segment ? segment.id : null;
+    dialog.label = segment ? 'Edit segment' : 'New segment';
+    showSegmentDialogMessage('');
+
+    // Every role and location can be picked, with families and regions at the top
+    window.DataModule.populateRoleOptions(roleSelect);
+    window.DataModule.populateLocationOptions(locationSelect);
+    window.DataModule.populateAnswerQuestionOptions(questionSelect);
+
+    nameInput.value = segment ? segment.name : '';
+    roleSelect.value = segment ? segment.roles : [];
+    locationSelect.value = segment ? segment.locations : [];
+    questionSelect.value = segment ? segment.question : '';
+    populateSegmentAnswerSelect(questionSelect.value);
+    answerSelect.value = segment ? segment.answers : [];
+
+    dialog.show();
+
+    // Focus once the dialog has opened
+    setTimeout(() => nameInput.focus && nameInput.focus(), 100);
+}
+
+/**
+ * Create or update a segment from the dialog
+ */
+function submitSegment() {
+    const dialog = document.getElementById('segment-dialog');
+    const name = document.getElementById('segment-name-input').value.trim();
+    const question = document.getElementById('segment-question-select').value || '';
+    const segment = {
+        id: editingSegmentId || createSegmentId(),
+        name,
+        roles: getSegmentSelectValue('segment-role-select'),
+        locations: getSegmentSelectValue('segment-location-select'),
+        question,
+        answers: question ? getSegmentSelectValue('segment-answer-select') : []
+    };
+
+    if (!name) {
+        showSegmentDialogMessage('Give the segment a name.');
+        return;
+    }
+
+    const existing = findSegmentByName(name);
+    if (existing && existing.id !== segment.id) {
+        showSegmentDialogMessage(`There is already a segment called "${existing.name}".`);
+        return;
+    }
+
+    if (segment.question && segment.answers.length === 0) {
+        showSegmentDialogMessage(`Pick one or more answers to ${segment.question}, or clear the question.`);
+        return;
+    }
+
+    if (segment.roles.length === 0 && segment.locations.length === 0 && !segment.question) {
+        showSegmentDialogMessage('Pick roles, locations or answers for the segment.');
+        return;
+    }
+
+    const index = segments.findIndex(item => item.id === segment.id);
+    if (index >= 0) {
+        segments[index] = segment;
+    } else {
+        segments.push(segment);
+    }
+
+    storeSegments();
+    showSegmentsMessage('');
+
+    // A new segment joins the comparison
+    renderSegments(index < 0 ? [segment.id] : []);
+    dialog.hide();
+
+    dispatchSegmentsChange();
+}
+
+/**
+ * Delete a segment after confirming
+ * @param {Object} segment - Segment to delete
+ */
+function deleteSegment(segment) {
+    if (!window.confirm(`Delete the segment "${segment.name}"?`)) return;
+
+    segments = segments.filter(item => item.id !== segment.id);
+    storeSegments();
+    renderSegments();
+
+    dispatchSegmentsChange();
+}
+
+/**
+ * Set up the segment list, its buttons and the segment dialog
+ */
+function setupSegments() {
+    const newButton = document.getElementById('segment-new-btn');
+    const form = document.getElementById('segment-form');
+    const roleSelect = document.getElementById('segment-role-select');
+    const locationSelect = document.getElementById('segment-location-select');
+    const questionSelect = document.getElementById('segment-question-select');
+
+    if (!newButton || !form || !roleSelect || !locationSelect || !questionSelect) {
+        console.warn('Could not set up segments - missing elements');
+        return;
+    }
+
+    loadSegments();
+    renderSegmentsList();
+    dispatchSegmentsChange();
+
+    newButton.addEventListener('click', function () {
+        openSegmentDialog();
+    });
+
+    // Picking a family or region picks its roles or shops
+    roleSelect.addEventListener('sl-change', function () {
+        window.FiltersModule.expandPickedGroups(roleSelect, window.RoleFamiliesModule.findFamilyGroup);
+    });
+    locationSelect.addEventListener('sl-change', function () {
+        window.FiltersModule.expandPickedGroups(locationSelect, window.LocationHierarchyModule.findRegionGroup);
+    });
+
+    questionSelect.addEventListener('sl-change', function () {
+        populateSegmentAnswerSelect(questionSelect.value || '');
+    });
+
+    form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        submitSegment();
+    });
+}
+
+// Export functions for use in other modules
+window.SegmentsModule = {
+    setupSegments,
+    getSegmentOptions,
+    renderSegments
+};
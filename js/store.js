@@ -0,0 +1,153 @@
+/**
+ * Store Module - Dashboard State
+ * Keeps the dashboard's state in one object and tells subscribers when it changes:
+ *   view     - what is on screen (comparison mode, filters, comparison selections, cross-filter and survey wave),
+ *              as UrlStateModule.getViewState() describes it
+ *   dataset  - the loaded dataset, as CSVLoaderModule.getActiveDataset() describes it
+ *   segments - the custom segments defined in this browser
+ *   analysis - the survey worker's results for the view
+ *
+ * Controls dispatch one action per change once they have finished updating the drawer, and
+ * subscribers are called in the order they subscribed, so every view renders once per change
+ * in the same order each time.
+ */
+
+let storeState = {
+    view: null,
+    dataset: null,
+    segments: [],
+    analysis: null
+};
+
+// { keys, listener } in subscription order
+const storeSubscribers = [];
+
+// Actions dispatched by a subscriber wait until every subscriber has seen the current one
+const pendingStoreActions = [];
+let isDispatchingStoreAction = false;
+
+/**
+ * Check whether two views describe the same screen
+ * @param {Object|null} a - View
+ * @param {Object|null} b - View
+ * @returns {boolean} True when they are equal
+ */
+function isSameView(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Work out the state after an action. Parts the action does not change keep their identity,
+ * which is how subscribers tell what changed.
+ * @param {Object} state - Current state
+ * @param {Object} action - { type, ... }. Any action may carry the view on screen as action.view.
+ * @returns {Object} Next state
+ */
+function reduceStoreState(state, action) {
+    const nextState = { ...state };
+
+    if (action.view && !isSameView(action.view, state.view)) {
+        nextState.view = action.view;
+    }
+
+    switch (action.type) {
+        case 'view/changed':
+            break;
+        case 'dataset/loaded':
+            nextState.dataset = action.dataset;
+            break;
+        case 'segments/changed':
+            nextState.segments = action.segments;
+            break;
+        case 'analysis/ready':
+            nextState.analysis = action.analysis;
+            break;
+        default:
+            console.warn('Unknown store action:', action.type);
+            break;
+    }
+
+    return nextState;
+}
+
+/**
+ * Get the current state
+ * @returns {Object} { view, dataset, segments, analysis }
+ */
+function getState() {
+    return storeState;
+}
+
+/**
+ * Update the state and call the subscribers of every part that changed
+ * @param {Object} action - { type, ... } where type is 'view/changed', 'dataset/loaded',
+ *                          'segments/changed' or 'analysis/ready'
+ */
+function dispatch(action) {
+    pendingStoreActions.push(action);
+    if (isDispatchingStoreAction) return;
+
+    isDispatchingStoreAction = true;
+    try {
+        while (pendingStoreActions.length > 0) {
+            const nextAction = pendingStoreActions.shift();
+            const previousState = storeState;
+            storeState = reduceStoreState(previousState, nextAction);
+
+            const changedKeys = Object.keys(storeState).filter(key => storeState[key] !== previousState[key]);
+            if (changedKeys.length === 0) continue;
+
+            // Copy the list so a listener that subscribes or unsubscribes does not change this round
+            storeSubscribers.slice().forEach(subscriber => {
+                if (!subscriber.keys.some(key => changedKeys.includes(key))) return;
+
+                try {
+                    subscriber.listener(storeState, nextAction);
+                } catch (error) {
+                    console.error('Error updating the dashboard:', error);
+                }
+            });
+        }
+    } finally {
+        isDispatchingStoreAction = false;
+    }
+}
+
+/**
+ * Call a listener whenever some parts of the state change. Listeners are called once per
+ * action, in the order they subscribed.
+ * @param {string[]} keys - Parts of the state to follow, e.g. ['analysis']
+ * @param {Function} listener - Called with (state, action)
+ * @returns {Function} Stops calling the listener
+ */
+function subscribe(keys, listener) {
+    const subscriber = { keys, listener };
+    storeSubscribers.push(subscriber);
+
+    return function unsubscribe() {
+        const index = storeSubscribers.indexOf(subscriber);
+        if (index >= 0) {
+            storeSubscribers.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * Record the view on screen after a control changed it
+ * @param {Object} details - Optional { source, replaceHistory } where source says what changed the view
+ *                           ('undo', 'url' or 'saved-view'; user changes have none) and replaceHistory
+ *                           records the view in place of the current history entry
+ */
+function dispatchViewChange(details = {}) {
+    if (!window.CSVLoaderModule.isCSVDataLoaded()) return;
+
+    dispatch({ type: 'view/changed', ...details, view: window.UrlStateModule.getViewState() });
+}
+
+// Export functions for use in other modules
+window.StoreModule = {
+    getState,
+    dispatch,
+    subscribe,
+    dispatchViewChange
+};
@@ -0,0 +1,977 @@
+/**
+ * Survey Core Module - Parsing, Filtering and Aggregation
+ * Pure data functions with no DOM access. The survey worker runs them off the main thread,
+ * and the page loads the same file so it can fall back to running them in place.
+ * Uses `self` rather than `window` because it is also loaded inside a Web Worker.
+ */
+
+/**
+ * Split CSV text into records following RFC 4180.
+ * Handles quoted fields containing commas, line breaks and escaped ("") quotes,
+ * CRLF or LF line endings, and a leading byte order mark.
+ * @param {string} csvText - Raw CSV text
+ * @returns {Object} { records: Array<{fields: string[], line: number}>, error: Object|null }
+ */
+function tokenizeCSV(csvText) {
+    const text = csvText.charCodeAt(0) === 0xFEFF ? csvText.slice(1) : csvText;
+    const records = [];
+
+    let fields = [];
+    let current = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordStartLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    // Escaped quote inside a quoted field
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') line++;
+                // Normalize CRLF inside quoted fields to a single line break
+                if (!(char === '\r' && text[i + 1] === '\n')) {
+                    current += char;
+                }
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(current);
+            records.push({ fields, line: recordStartLine });
+            fields = [];
+            current = '';
+            line++;
+            recordStartLine = line;
+        } else {
+            current += char;
+        }
+    }
+
+    if (inQuotes) {
+        // The final record never closed its quote - keep what we have so it can be reported
+        fields.push(current);
+        return {
+            records,
+            error: { line: recordStartLine, reason: 'Unterminated quoted field', raw: fields.join(',') }
+        };
+    }
+
+    // Flush the final record when the file does not end with a line break
+    if (current !== '' || fields.length > 0) {
+        fields.push(current);
+        records.push({ fields, line: recordStartLine });
+    }
+
+    return { records, error: null };
+}
+
+/**
+ * Parse CSV text into array of objects and a load report of rejected rows
+ * @param {string} csvText - Raw CSV text
+ * @returns {Object} { data: Array, report: Object, headers: string[] } where data holds one object per row keyed by header
+ */
+function parseCSV(csvText) {
+    const { records, error } = tokenizeCSV(csvText || '');
+    const report = {
+        totalRows: 0,
+        acceptedRows: 0,
+        rejectedRows: []
+    };
+
+    // Blank lines carry no data and are not counted as rows
+    const nonEmptyRecords = records.filter(record =>
+        !(record.fields.length === 1 && record.fields[0].trim() === '')
+    );
+
+    if (nonEmptyRecords.length === 0) {
+        return { data: [], report, headers: [] };
+    }
+
+    const headers = nonEmptyRecords[0].fields.map(header => header.trim());
+    const data = [];
+
+    for (let i = 1; i < nonEmptyRecords.length; i++) {
+        const { fields, line } = nonEmptyRecords[i];
+        report.totalRows++;
+
+        if (fields.length !== headers.length) {
+            report.rejectedRows.push({
+                line,
+                reason: `Expected ${headers.length} fields but found ${fields.length}`,
+                raw: fields.join(',')
+            });
+            continue;
+        }
+
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = fields[index].trim();
+        });
+
+        // Remember where the row came from for reports, without adding a column
+        Object.defineProperty(row, '_line', { value: line, enumerable: false });
+        data.push(row);
+        report.acceptedRows++;
+    }
+
+    if (error) {
+        report.totalRows++;
+        report.rejectedRows.push(error);
+    }
+
+    return { data, report, headers };
+}
+
+/**
+ * Convert a Likert answer to its numeric score.
+ * Labels match without regard to case, and reverse-coded questions are flipped
+ * so that a higher score is always more favorable.
+ * @param {Object} question - Likert question definition
+ * @param {Object} scale - The question's scale { min, max, labels }
+ * @param {string} answerText - Raw answer, e.g. "Agree"
+ * @returns {number|null} Score, or null when the answer is blank or not on the scale
+ */
+function scoreLikertAnswer(question, scale, answerText) {
+    if (!scale || !answerText) return null;
+
+    const normalizedAnswer = answerText.trim().toLowerCase();
+    const label = Object.keys(scale.labels).find(key => key.toLowerCase() === normalizedAnswer);
+    if (label === undefined) return null;
+
+    const score = scale.labels[label];
+    return question.reverse ? scale.min + scale.max - score : score;
+}
+
+/**
+ * Fill in Likert score columns that are missing from a file by scoring the raw answer text
+ * @param {Array} rows - Parsed rows from one file, updated in place
+ * @param {string[]} headers - Column headers of that file
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {string[]} Score columns that were computed
+ */
+function computeMissingScores(rows, headers, config) {
+    const computedColumns = [];
+
+    config.likertQuestions.forEach(question => {
+        // Pre-cleaned exports already have the score column, which always takes precedence
+        if (headers.includes(question.scoreColumn) || !headers.includes(question.answerColumn)) {
+            return;
+        }
+
+        const scale = config.scales[question.scale];
+        rows.forEach(row => {
+            const score = scoreLikertAnswer(question, scale, row[question.answerColumn]);
+            row[question.scoreColumn] = score === null ? '' : String(score);
+        });
+        computedColumns.push(question.scoreColumn);
+    });
+
+    return computedColumns;
+}
+
+/**
+ * Rewrite alias spellings (e.g. "Lead person") to the canonical CSV value (e.g. "Leadperson")
+ * so every view sees a single value per role and location
+ * @param {Array} rows - Survey response objects, updated in place
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ */
+function applyDemographicAliases(rows, config) {
+    const columns = {
+        role: config.roleColumn,
+        location: config.locationColumn
+    };
+
+    Object.keys(columns).forEach(demographicId => {
+        const aliases = config.aliases[demographicId] || {};
+        const column = columns[demographicId];
+
+        if (Object.keys(aliases).length === 0) return;
+
+        rows.forEach(row => {
+            const canonicalValue = aliases[row[column]];
+            if (canonicalValue) {
+                row[column] = canonicalValue;
+            }
+        });
+    });
+}
+
+/**
+ * Sort wave labels so numbers compare naturally ("2024" before "2025", "2025-2" before "2025-10")
+ * @param {string[]} labels - Wave labels
+ * @returns {string[]} Sorted copy of the labels
+ */
+function sortWaveLabels(labels) {
+    return [...labels].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Parse one or more CSV sources into a single dataset grouped by survey wave
+ * @param {Array} sources - Array of { name, text, waveLabel }
+ * @param {string} datasetName - Name used in the error when nothing could be read
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {Object} { rows, report, waves, rowsByWave, computedScoreColumns }
+ */
+function buildDataset(sources, datasetName, config) {
+    const rows = [];
+    const report = {
+        totalRows: 0,
+        acceptedRows: 0,
+        rejectedRows: []
+    };
+
+    const computedScoreColumns = new Set();
+
+    sources.forEach(source => {
+        const result = parseCSV(source.text);
+
+        // Raw exports have answer text only, so score it with the schema's Likert scales
+        computeMissingScores(result.data, result.headers, config).forEach(column => computedScoreColumns.add(column));
+
+        result.data.forEach(row => {
+            // Rows without a wave of their own belong to the wave named after their file
+            if (!row[config.waveColumn]) {
+                row[config.waveColumn] = source.waveLabel;
+            }
+            Object.defineProperty(row, '_file', { value: source.name, enumerable: false });
+            rows.push(row);
+        });
+
+        report.totalRows += result.report.totalRows;
+        report.acceptedRows += result.report.acceptedRows;
+        result.report.rejectedRows.forEach(rejected => {
+            report.rejectedRows.push(sources.length > 1 ? { ...rejected, file: source.name } : rejected);
+        });
+    });
+
+    if (rows.length === 0) {
+        throw new Error(`No survey responses could be read from ${datasetName}`);
+    }
+
+    // Merge alias spellings of roles and locations before anything reads them
+    applyDemographicAliases(rows, config);
+
+    const rowsByWave = {};
+    rows.forEach(row => {
+        const wave = row[config.waveColumn];
+        if (!rowsByWave[wave]) {
+            rowsByWave[wave] = [];
+        }
+        rowsByWave[wave].push(row);
+    });
+
+    return {
+        rows,
+        report,
+        waves: sortWaveLabels(Object.keys(rowsByWave)),
+        rowsByWave,
+        computedScoreColumns: Array.from(computedScoreColumns)
+    };
+}
+
+/**
+ * Check whether a cell holds one of the accepted answers
+ * @param {string} cell - Cell value
+ * @param {Array} values - Accepted values; numbers match scores, strings match the trimmed text
+ * @returns {boolean} True when the cell matches
+ */
+function matchesAnswer(cell, values) {
+    const text = cell === undefined || cell === null ? '' : String(cell).trim();
+    return values.some(value => typeof value === 'number' ? parseFloat(text) === value : text === value);
+}
+
+/**
+ * Fold text for searching: lower case without accents, so "Seguridad" finds "seguridád"
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split a search query into folded terms. Quoted phrases stay together, e.g.
+ * 'horas "tiempo extra"' -> ['horas', 'tiempo extra']. A quote left open runs to the end of
+ * the query and stray quotes are dropped, so 'horas "tiempo extra' -> ['horas', 'tiempo extra']
+ * and '"' or '""' -> [].
+ * @param {string} query - Search query as typed
+ * @returns {string[]} Folded terms, empty when the query has none
+ */
+function parseSearchTerms(query) {
+    const terms = [];
+    const pattern = /"([^"]*)"?|([^\s"]+)/g;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+        const term = foldSearchText((match[1] !== undefined ? match[1] : match[2]).replace(/\s+/g, ' ').trim());
+        if (term && !terms.includes(term)) {
+            terms.push(term);
+        }
+    }
+    return terms;
+}
+
+/**
+ * Find where search terms occur in a text, ignoring case and accents
+ * @param {string} text - Text to search, e.g. an open-ended answer
+ * @param {string[]} terms - Folded terms from parseSearchTerms()
+ * @returns {Array|null} Ranges { start, end } in the original text, sorted and merged,
+ *                       or null unless every term occurs
+ */
+function findSearchMatches(text, terms) {
+    if (!text || terms.length === 0) return null;
+
+    // Fold one character at a time to remember where each folded character came from
+    let folded = '';
+    const origins = [];
+    Array.from(text).reduce((offset, character) => {
+        const foldedCharacter = foldSearchText(character);
+        folded += foldedCharacter;
+        for (let i = 0; i < foldedCharacter.length; i++) {
+            origins.push({ start: offset, end: offset + character.length });
+        }
+        return offset + character.length;
+    }, 0);
+
+    const ranges = [];
+    for (const term of terms) {
+        let index = folded.indexOf(term);
+        if (index < 0) return null;
+
+        while (index >= 0) {
+            ranges.push({ start: origins[index].start, end: origins[index + term.length - 1].end });
+            index = folded.indexOf(term, index + term.length);
+        }
+    }
+
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Build a test for the rows matching a filter spec
+ * @param {Object} spec - Filter spec (see filterRows)
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {Function|null} Function taking a row and returning true when it matches, or null when the spec keeps every row
+ */
+function createRowMatcher(spec, config) {
+    const roles = spec && spec.roles && spec.roles.length > 0 ? spec.roles : null;
+    const locations = spec && spec.locations && spec.locations.length > 0 ? spec.locations : null;
+    const excludeRoles = spec && spec.excludeRoles && spec.excludeRoles.length > 0 ? spec.excludeRoles : null;
+    const excludeLocations = spec && spec.excludeLocations && spec.excludeLocations.length > 0 ? spec.excludeLocations : null;
+    const answers = (spec && spec.answers ? spec.answers : [])
+        .concat(spec && spec.crossFilter ? [spec.crossFilter] : [])
+        .filter(answer => answer.values.length > 0);
+    const search = spec && spec.search && spec.search.terms.length > 0 ? spec.search : null;
+
+    // Rows matching the outside spec are left out; an outside spec that keeps every row leaves out every row
+    const matchesOutside = spec && spec.outside ? (createRowMatcher(spec.outside, config) || (() => true)) : null;
+
+    if (!roles && !locations && !excludeRoles && !excludeLocations && answers.length === 0 && !search && !matchesOutside) return null;
+
+    return row =>
+        (!roles || roles.includes(row[config.roleColumn])) &&
+        (!locations || locations.includes(row[config.locationColumn])) &&
+        (!excludeRoles || !excludeRoles.includes(row[config.roleColumn])) &&
+        (!excludeLocations || !excludeLocations.includes(row[config.locationColumn])) &&
+        answers.every(answer => matchesAnswer(row[answer.column], answer.values)) &&
+        (!search || search.columns.some(column => findSearchMatches(row[column], search.terms) !== null)) &&
+        (!matchesOutside || !matchesOutside(row));
+}
+
+/**
+ * Select the rows matching a filter spec
+ * @param {Array} rows - Survey response objects
+ * @param {Object} spec - { roles, locations, excludeRoles, excludeLocations, answers, crossFilter, search, outside } where the
+ *                        role and location lists are arrays of CSV values to keep or leave out, answers is an
+ *                        array of { column, values }, crossFilter is one more { column, values } or null, search
+ *                        is { columns, terms } keeping rows with an answer in one of the columns containing every
+ *                        term from parseSearchTerms(), or null, and outside is a nested spec whose rows are left
+ *                        out, e.g. for the rest of the company; a missing or empty list does not filter
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {Array} Matching rows
+ */
+function filterRows(rows, spec, config) {
+    const matches = createRowMatcher(spec, config);
+    return matches ? rows.filter(matches) : rows;
+}
+
+/**
+ * Calculate the average of all Likert score columns for a dataset
+ * @param {Array} rows - Survey response objects
+ * @param {string[]} scoreColumns - Score columns to average
+ * @returns {number} Average value across all score columns
+ */
+function calculateAverageResponse(rows, scoreColumns) {
+    let totalSum = 0;
+    let totalCount = 0;
+
+    rows.forEach(row => {
+        scoreColumns.forEach(column => {
+            const value = parseFloat(row[column]);
+            if (!isNaN(value)) {
+                totalSum += value;
+                totalCount++;
+            }
+        });
+    });
+
+    return totalCount > 0 ? totalSum / totalCount : 0;
+}
+
+/**
+ * Calculate grouped averages for a dataset
+ * @param {Array} rows - Survey response objects
+ * @param {Object} questionGroups - Group names mapped to their score columns
+ * @returns {Object} Object with group names as keys and averages as values
+ */
+function calculateGroupedAverages(rows, questionGroups) {
+    const groupedAverages = {};
+
+    Object.keys(questionGroups).forEach(groupName => {
+        groupedAverages[groupName] = calculateAverageResponse(rows, questionGroups[groupName]);
+    });
+
+    return groupedAverages;
+}
+
+/**
+ * Count each category in a column, most common first
+ * @param {Array} rows - Survey response objects
+ * @param {string} column - Category column
+ * @returns {Array} Array of [category, count] pairs
+ */
+function countCategoryValues(rows, column) {
+    const counts = {};
+
+    rows.forEach(row => {
+        const value = row[column];
+        if (value && value.trim() !== '') {
+            const category = value.trim();
+            counts[category] = (counts[category] || 0) + 1;
+        }
+    });
+
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Summarize the scores of a set of rows
+ * @param {Array} rows - Survey response objects
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {Object} { count, average, groupAverages }
+ */
+function summarizeScores(rows, config) {
+    return {
+        count: rows.length,
+        average: calculateAverageResponse(rows, config.scoreColumns),
+        groupAverages: calculateGroupedAverages(rows, config.questionGroups)
+    };
+}
+
+/**
+ * Check whether a group is too small to show without identifying the people in it. A group
+ * that leaves out only a few people is too small as well, since subtracting it from everyone
+ * would show those few, e.g. everyone except the two painters in one shop.
+ * @param {number} count - Respondents in the group
+ * @param {number} populationCount - Respondents the group was picked from
+ * @param {number} minGroupSize - Smallest group that may be shown
+ * @returns {boolean} True when the group's results must be withheld
+ */
+function isGroupTooSmall(count, populationCount, minGroupSize) {
+    if (count === 0) return false;
+    return count < minGroupSize || (count < populationCount && populationCount - count < minGroupSize);
+}
+
+/**
+ * Check whether the rows matching a spec are too small a group to show
+ * @param {Array} rows - Rows matching the spec
+ * @param {Array} waveRows - Every row of the wave the rows came from
+ * @param {Object} spec - Filter spec (see filterRows)
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {boolean} True when the rows' results must be withheld
+ */
+function isSpecGroupTooSmall(rows, waveRows, spec, config) {
+    // Every series in a view shares the cross-filter and comment search, so groups are picked from the respondents they keep
+    const population = spec && (spec.crossFilter || spec.search)
+        ? filterRows(waveRows, { crossFilter: spec.crossFilter, search: spec.search }, config)
+        : waveRows;
+    return isGroupTooSmall(rows.length, population.length, config.minGroupSize || 1);
+}
+
+/**
+ * List the distinct role and location pairs that have respondents
+ * @param {Array} rows - Survey response objects
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {Array} Array of [role, location] CSV value pairs in the order first seen
+ */
+function listDemographicPairs(rows, config) {
+    const pairs = new Map();
+
+    rows.forEach(row => {
+        const role = row[config.roleColumn];
+        const location = row[config.locationColumn];
+        if (!role || !location) return;
+
+        const key = JSON.stringify([role, location]);
+        if (!pairs.has(key)) {
+            pairs.set(key, [role, location]);
+        }
+    });
+
+    return Array.from(pairs.values());
+}
+
+/**
+ * Describe where a row came from, e.g. "Line 12" or "shop_2024.csv, line 12"
+ * @param {Object} row - Survey response object
+ * @param {boolean} includeFile - Whether to name the source file
+ * @returns {string} Row location
+ */
+function describeRowSource(row, includeFile) {
+    if (includeFile && row._file) {
+        return `${row._file}, line ${row._line}`;
+    }
+    return `Line ${row._line}`;
+}
+
+/**
+ * Find role and location values the display-name mapping does not know about.
+ * Skipped for a demographic when no mapping is configured for it.
+ * @param {Array} rows - Survey response objects
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @returns {Array} Issues, one per unknown value
+ */
+function checkUnknownDemographics(rows, config) {
+    const issues = [];
+    const demographics = {
+        role: config.roleColumn,
+        location: config.locationColumn
+    };
+
+    Object.keys(demographics).forEach(demographicId => {
+        const column = demographics[demographicId];
+        const displayNames = config.displayNames[demographicId] || {};
+        if (Object.keys(displayNames).length === 0) return;
+
+        const unknownCounts = {};
+        rows.forEach(row => {
+            const value = row[column];
+            if (!value) {
+                unknownCounts['(blank)'] = (unknownCounts['(blank)'] || 0) + 1;
+            } else if (!displayNames[value]) {
+                unknownCounts[value] = (unknownCounts[value] || 0) + 1;
+            }
+        });
+
+        Object.entries(unknownCounts).forEach(([value, count]) => {
+            issues.push({
+                location: column,
+                detail: `Unknown ${demographicId} "${value}" in ${count} ${count === 1 ? 'row' : 'rows'}`
+            });
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Find score cells that are not numbers or fall outside their question's scale
+ * @param {Array} rows - Survey response objects
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @param {boolean} includeFile - Whether issue locations name the source file
+ * @returns {Array} Issues, one per bad cell
+ */
+function checkScoreRange(rows, config, includeFile) {
+    const issues = [];
+
+    config.likertQuestions.forEach(question => {
+        const scale = config.scales[question.scale];
+
+        rows.forEach(row => {
+            const rawValue = row[question.scoreColumn];
+            if (rawValue === undefined || rawValue === '') return;
+
+            const value = Number(rawValue);
+            if (isNaN(value)) {
+                issues.push({
+                    location: describeRowSource(row, includeFile),
+                    detail: `${question.scoreColumn} is "${rawValue}", not a number`
+                });
+            } else if (value < scale.min || value > scale.max) {
+                issues.push({
+                    location: describeRowSource(row, includeFile),
+                    detail: `${question.scoreColumn} is ${value}, outside ${scale.min}–${scale.max}`
+                });
+            }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Find Likert answers whose text does not match their numeric code (e.g. "Agree" with Q3_num 40)
+ * @param {Array} rows - Survey response objects
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @param {boolean} includeFile - Whether issue locations name the source file
+ * @returns {Array} Issues, one per mismatched answer
+ */
+function checkAnswerCodes(rows, config, includeFile) {
+    const issues = [];
+
+    config.likertQuestions.forEach(question => {
+        if (!question.answerColumn) return;
+
+        const scale = config.scales[question.scale];
+        rows.forEach(row => {
+            const answer = row[question.answerColumn];
+            const rawScore = row[question.scoreColumn];
+            if (!answer) return;
+
+            // Uses the same scoring as raw exports, including reverse-coded questions
+            const expectedScore = scoreLikertAnswer(question, scale, answer);
+            if (expectedScore === null) {
+                issues.push({
+                    location: describeRowSource(row, includeFile),
+                    detail: `${question.answerColumn} answer "${answer}" is not on the ${question.scale} scale`
+                });
+            } else if (rawScore !== undefined && rawScore !== '' && Number(rawScore) !== expectedScore) {
+                issues.push({
+                    location: describeRowSource(row, includeFile),
+                    detail: `${question.answerColumn} is "${answer}" (${expectedScore}) but ${question.scoreColumn} is ${rawScore}`
+                });
+            }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Find rows that repeat an earlier row exactly
+ * @param {Array} rows - Survey response objects
+ * @param {boolean} includeFile - Whether issue locations name the source file
+ * @returns {Array} Issues, one per repeated row
+ */
+function checkDuplicateRows(rows, includeFile) {
+    const issues = [];
+    const firstSeen = new Map();
+
+    rows.forEach(row => {
+        const key = JSON.stringify(Object.values(row));
+        if (firstSeen.has(key)) {
+            issues.push({
+                location: describeRowSource(row, includeFile),
+                detail: `Duplicate of ${describeRowSource(firstSeen.get(key), includeFile).toLowerCase()}`
+            });
+        } else {
+            firstSeen.set(key, row);
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Find respondents who left every survey question blank
+ * @param {Array} rows - Survey response objects
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @param {boolean} includeFile - Whether issue locations name the source file
+ * @returns {Array} Issues, one per empty response
+ */
+function checkEmptyResponses(rows, config, includeFile) {
+    return rows
+        .filter(row => config.questionColumns.every(column => !row[column]))
+        .map(row => ({
+            location: describeRowSource(row, includeFile),
+            detail: 'No answers to any survey question'
+        }));
+}
+
+/**
+ * Check a dataset for unknown roles or locations, out-of-scale scores, answer text that
+ * disagrees with its numeric code, duplicate rows and empty responses
+ * @param {Array} rows - Survey response objects across all waves
+ * @param {Object} config - Engine configuration (see createSurveyEngine)
+ * @param {boolean} includeFile - Whether issue locations should name the source file
+ * @returns {Array} Checks { id, issues } where issues are { location, detail }
+ */
+function validateDataset(rows, config, includeFile) {
+    return [
+        { id: 'unknown-demographics', issues: checkUnknownDemographics(rows, config) },
+        { id: 'score-range', issues: checkScoreRange(rows, config, includeFile) },
+        { id: 'answer-codes', issues: checkAnswerCodes(rows, config, includeFile) },
+        { id: 'duplicates', issues: checkDuplicateRows(rows, includeFile) },
+        { id: 'empty-responses', issues: checkEmptyResponses(rows, config, includeFile) }
+    ];
+}
+
+/**
+ * Create the engine that holds a dataset and answers requests about it.
+ * The configuration is derived from the survey schema on the main thread:
+ * { likertQuestions, scales, scoreColumns, questionGroups, categoryColumns, questionColumns,
+ *   roleColumn, locationColumn, waveColumn, minGroupSize, aliases: { role, location },
+ *   displayNames: { role, location } }
+ * Rows stay in the engine: the page only gets what is derived from them, and scores,
+ * categories and comments of groups smaller than minGroupSize are never returned.
+ * @returns {Object} Engine with handle(type, payload)
+ */
+function createSurveyEngine() {
+    let config = null;
+    let dataset = null;
+
+    const handlers = {
+        /**
+         * Parse CSV sources and make them the engine's dataset.
+         * The previous dataset is kept if the new one has nothing usable in it.
+         * Returns what the filters and reports need across all waves rather than the rows:
+         * the role and location pairs, each category column's counts and the validation checks.
+         */
+        load({ sources, datasetName, config: newConfig }) {
+            const newDataset = buildDataset(sources, datasetName, newConfig);
+            config = newConfig;
+            dataset = newDataset;
+
+            const categories = {};
+            config.categoryColumns.forEach(column => {
+                categories[column] = countCategoryValues(dataset.rows, column);
+            });
+
+            return {
+                report: dataset.report,
+                waves: dataset.waves,
+                computedScoreColumns: dataset.computedScoreColumns,
+                pairs: listDemographicPairs(dataset.rows, config),
+                categories,
+                validation: validateDataset(dataset.rows, config, sources.length > 1)
+            };
+        },
+
+        /**
+         * Check which groups would be too small to show in a wave, e.g. to mark filter options before they are picked
+         * @returns {boolean[]} One flag per spec, true when the group's results would be withheld
+         */
+        smallGroups({ wave, specs }) {
+            if (!dataset) throw new Error('No dataset loaded');
+
+            const waveRows = dataset.rowsByWave[wave] || [];
+            return specs.map(spec => isSpecGroupTooSmall(filterRows(waveRows, spec, config), waveRows, spec, config));
+        },
+
+        /**
+         * Summarize each requested series within a wave, with the previous wave's scores
+         * for change indicators and optionally every wave's group averages for trend lines.
+         * Series too small to show are marked suppressed and have no scores or categories.
+         */
+        aggregate({ wave, series, includeTrends }) {
+            if (!dataset) throw new Error('No dataset loaded');
+
+            const waveRows = dataset.rowsByWave[wave] || [];
+            const waveIndex = dataset.waves.indexOf(wave);
+            const previousWave = waveIndex > 0 ? dataset.waves[waveIndex - 1] : null;
+
+            const results = {};
+            series.forEach(({ id, spec }) => {
+                const rows = filterRows(waveRows, spec, config);
+                if (isSpecGroupTooSmall(rows, waveRows, spec, config)) {
+                    results[id] = {
+                        count: rows.length,
+                        suppressed: true,
+                        average: null,
+                        groupAverages: null,
+                        categories: null,
+                        previous: null,
+                        trend: null
+                    };
+                    return;
+                }
+
+                const summary = summarizeScores(rows, config);
+                summary.suppressed = false;
+
+                // The chart a cross-filter was picked from keeps counting every category
+                const crossFilterColumn = spec && spec.crossFilter ? spec.crossFilter.column : null;
+                const uncrossedRows = crossFilterColumn ? filterRows(waveRows, { ...spec, crossFilter: null }, config) : rows;
+
+                summary.categories = {};
+                config.categoryColumns.forEach(column => {
+                    summary.categories[column] = countCategoryValues(column === crossFilterColumn ? uncrossedRows : rows, column);
+                });
+
+                summary.previous = null;
+                if (previousWave) {
+                    const previousWaveRows = dataset.rowsByWave[previousWave];
+                    const previousRows = filterRows(previousWaveRows, spec, config);
+                    summary.previous = previousRows.length > 0 && !isSpecGroupTooSmall(previousRows, previousWaveRows, spec, config)
+                        ? summarizeScores(previousRows, config)
+                        : null;
+                }
+
+                summary.trend = includeTrends
+                    ? dataset.waves.map(trendWave => {
+                        const trendWaveRows = dataset.rowsByWave[trendWave];
+                        const trendRows = filterRows(trendWaveRows, spec, config);
+                        return trendRows.length > 0 && !isSpecGroupTooSmall(trendRows, trendWaveRows, spec, config)
+                            ? calculateGroupedAverages(trendRows, config.questionGroups)
+                            : null;
+                    })
+                    : null;
+
+                results[id] = summary;
+            });
+
+            return {
+                wave,
+                previousWave,
+                waves: dataset.waves,
+                totalCount: waveRows.length,
+                minGroupSize: config.minGroupSize || 1,
+                series: results
+            };
+        },
+
+        /**
+         * Get the open-ended answers behind one category bar, unless the group answering is too small to show
+         */
+        responses({ wave, spec, categoryColumn, answerColumn, category }) {
+            if (!dataset) throw new Error('No dataset loaded');
+
+            // Bars in the chart a cross-filter was picked from are counted without it
+            const responseSpec = spec && spec.crossFilter && spec.crossFilter.column === categoryColumn
+                ? { ...spec, crossFilter: null }
+                : spec;
+
+            const waveRows = dataset.rowsByWave[wave] || [];
+            const rows = filterRows(waveRows, responseSpec, config);
+            if (isSpecGroupTooSmall(rows, waveRows, responseSpec, config)) {
+                return { suppressed: true, answers: [] };
+            }
+
+            return {
+                suppressed: false,
+                answers: rows
+                    .filter(row => row[categoryColumn] && row[categoryColumn].trim() === category)
+                    .map(row => row[answerColumn] ? row[answerColumn].trim() : '')
+                    .filter(Boolean)
+            };
+        },
+
+        /**
+         * Get the answers matching a comment search for each series, unless the series is too small to show
+         * @returns {Array} Array of { id, suppressed, matches } where matches are { column, text }
+         *                  in response order
+         */
+        search({ wave, series, columns, terms }) {
+            if (!dataset) throw new Error('No dataset loaded');
+
+            const waveRows = dataset.rowsByWave[wave] || [];
+            return series.map(({ id, spec }) => {
+                const rows = filterRows(waveRows, spec, config);
+                if (isSpecGroupTooSmall(rows, waveRows, spec, config)) {
+                    return { id, suppressed: true, matches: [] };
+                }
+
+                const matches = [];
+                rows.forEach(row => {
+                    columns.forEach(column => {
+                        const text = row[column] ? row[column].trim() : '';
+                        if (findSearchMatches(text, terms)) {
+                            matches.push({ column, text });
+                        }
+                    });
+                });
+                return { id, suppressed: false, matches };
+            });
+        }
+    };
+
+    return {
+        handle(type, payload) {
+            if (!handlers[type]) {
+                throw new Error(`Unknown survey engine request: ${type}`);
+            }
+            return handlers[type](payload || {});
+        }
+    };
+}
+
+/**
+ * Create a message handler that queues requests for an engine and skips cancelled ones.
+ * Requests are processed one per task so that cancel messages sent while work is queued
+ * are seen before the work they cancel.
+ * @param {Function} postMessage - Sends a reply { id, result } | { id, error } | { id, cancelled }
+ * @returns {Function} Handler for incoming messages { id, type, payload } or { type: 'cancel', id }
+ */
+function createEngineMessageHandler(postMessage) {
+    const engine = createSurveyEngine();
+    const queue = [];
+    const cancelledIds = new Set();
+
+    function processNext() {
+        const message = queue.shift();
+
+        if (cancelledIds.delete(message.id)) {
+            postMessage({ id: message.id, cancelled: true });
+        } else {
+            try {
+                postMessage({ id: message.id, result: engine.handle(message.type, message.payload) });
+            } catch (error) {
+                postMessage({ id: message.id, error: error.message });
+            }
+        }
+
+        if (queue.length > 0) {
+            setTimeout(processNext, 0);
+        }
+    }
+
+    return function handleMessage(message) {
+        if (message.type === 'cancel') {
+            // A request that already finished has nothing left to cancel
+            if (queue.some(queued => queued.id === message.id)) {
+                cancelledIds.add(message.id);
+            }
+            return;
+        }
+
+        queue.push(message);
+        if (queue.length === 1) {
+            setTimeout(processNext, 0);
+        }
+    };
+}
+
+// Export functions for the page and the survey worker
+self.SurveyCore = {
+    parseCSV,
+    scoreLikertAnswer,
+    filterRows,
+    calculateAverageResponse,
+    calculateGroupedAverages,
+    countCategoryValues,
+    parseSearchTerms,
+    findSearchMatches,
+    isGroupTooSmall,
+    createSurveyEngine,
+    createEngineMessageHandler
+};
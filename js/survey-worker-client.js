@@ -0,0 +1,186 @@
+/**
+ * Survey Worker Client Module - Promise-based access to the survey worker
+ * Sends parsing and aggregation requests to the worker and matches its replies to them.
+ * Where workers are unavailable the same engine runs on the page behind the same API.
+ */
+
+const SURVEY_WORKER_PATH = 'js/survey-worker.js';
+
+// The worker, or an in-page stand-in with the same postMessage interface
+let surveyWorker = null;
+let nextRequestId = 1;
+
+// Unanswered requests by id: { resolve, reject, message }
+const pendingRequests = new Map();
+
+// Most recent request id on each channel, so a newer request can replace an older one
+const latestRequestByChannel = {};
+
+// Whether the engine holds a dataset that a replacement would need to load again
+let engineHasDataset = false;
+
+// Reads the active dataset again for a replacement engine, since the page keeps no copy of it.
+// Set by the CSV loader; resolves to the payload of a load request.
+let datasetReloader = null;
+
+/**
+ * Create the error used to reject requests replaced by a newer one on the same channel
+ * @returns {Error} Error named 'StaleRequestError'
+ */
+function createStaleRequestError() {
+    const error = new Error('Replaced by a newer request');
+    error.name = 'StaleRequestError';
+    return error;
+}
+
+/**
+ * Check whether a request failed only because a newer one replaced it
+ * @param {Error} error - Rejection reason from request()
+ * @returns {boolean} True for stale requests, which callers should ignore
+ */
+function isStaleRequestError(error) {
+    return !!error && error.name === 'StaleRequestError';
+}
+
+/**
+ * Settle the request a reply belongs to
+ * @param {Object} reply - { id, result } | { id, error } | { id, cancelled }
+ */
+function handleWorkerReply(reply) {
+    const pending = pendingRequests.get(reply.id);
+    if (!pending) return; // Already rejected as stale
+
+    pendingRequests.delete(reply.id);
+
+    if (reply.cancelled) {
+        pending.reject(createStaleRequestError());
+    } else if (reply.error) {
+        pending.reject(new Error(reply.error));
+    } else {
+        pending.resolve(reply.result);
+    }
+}
+
+/**
+ * Create an engine that runs on the page but talks like the worker
+ * @returns {Object} Object with postMessage(message)
+ */
+function createInPageEngine() {
+    const handleMessage = window.SurveyCore.createEngineMessageHandler(reply => {
+        setTimeout(() => handleWorkerReply(reply), 0);
+    });
+
+    return { postMessage: handleMessage };
+}
+
+/**
+ * Replace a worker that failed with the in-page engine and replay its unanswered requests
+ */
+function switchToInPageEngine() {
+    if (surveyWorker && surveyWorker.terminate) {
+        surveyWorker.terminate();
+    }
+
+    const engine = createInPageEngine();
+    const unanswered = Array.from(pendingRequests.values()).map(pending => pending.message);
+
+    if (!engineHasDataset || !datasetReloader) {
+        surveyWorker = engine;
+        unanswered.forEach(message => engine.postMessage(message));
+        return;
+    }
+
+    // Rebuild the dataset first, holding back whatever the worker left unanswered and anything sent meanwhile
+    const heldMessages = unanswered;
+    surveyWorker = { postMessage: message => heldMessages.push(message) };
+
+    datasetReloader().then(payload => {
+        // Nobody waits on this request, so its reply is dropped
+        engine.postMessage({ id: nextRequestId++, type: 'load', payload });
+    }).catch(error => {
+        console.error('Could not load the survey data again after the survey worker failed:', error);
+    }).then(() => {
+        surveyWorker = engine;
+        heldMessages.forEach(message => engine.postMessage(message));
+    });
+}
+
+/**
+ * Set how the active dataset is read again when the worker has to be replaced
+ * @param {Function} reloader - Function returning a promise for a load request payload { sources, datasetName, config }
+ */
+function setDatasetReloader(reloader) {
+    datasetReloader = reloader;
+}
+
+/**
+ * Get the survey worker, starting it on first use
+ * @returns {Object} Worker or in-page engine
+ */
+function getSurveyWorker() {
+    if (surveyWorker) return surveyWorker;
+
+    if (typeof Worker !== 'undefined') {
+        try {
+            surveyWorker = new Worker(SURVEY_WORKER_PATH);
+            surveyWorker.onmessage = event => handleWorkerReply(event.data);
+            surveyWorker.onerror = event => {
+                console.warn('Survey worker failed, running calculations on the page instead:', event.message);
+                event.preventDefault();
+                switchToInPageEngine();
+            };
+            return surveyWorker;
+        } catch (error) {
+            console.warn('Survey worker unavailable, running calculations on the page instead:', error);
+        }
+    }
+
+    surveyWorker = createInPageEngine();
+    return surveyWorker;
+}
+
+/**
+ * Send a request to the survey worker
+ * @param {string} type - 'load', 'aggregate', 'responses', 'search' or 'smallGroups'
+ * @param {Object} payload - Request data, which must be structured-cloneable
+ * @param {string} channel - Optional channel; a newer request on the same channel makes this one stale
+ * @returns {Promise<*>} Resolves with the result, or rejects with the worker's error or a StaleRequestError
+ */
+function request(type, payload, channel = null) {
+    const worker = getSurveyWorker();
+    const id = nextRequestId++;
+    const message = { id, type, payload };
+
+    if (channel) {
+        // Stop waiting for the older request and let the worker skip it if it has not started
+        const staleId = latestRequestByChannel[channel];
+        const stale = pendingRequests.get(staleId);
+        if (stale) {
+            pendingRequests.delete(staleId);
+            worker.postMessage({ type: 'cancel', id: staleId });
+            stale.reject(createStaleRequestError());
+        }
+        latestRequestByChannel[channel] = id;
+    }
+
+    const promise = new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject, message });
+        worker.postMessage(message);
+    });
+
+    if (type === 'load') {
+        return promise.then(result => {
+            engineHasDataset = true;
+            return result;
+        });
+    }
+
+    return promise;
+}
+
+// Export functions for use in other modules
+window.SurveyWorkerModule = {
+    request,
+    isStaleRequestError,
+    setDatasetReloader
+};
@@ -0,0 +1,13 @@
+/**
+ * Survey Worker - runs CSV parsing, filtering and aggregation off the main thread.
+ * Requests arrive from SurveyWorkerModule as { id, type, payload } and are answered with
+ * { id, result }, { id, error } or { id, cancelled } once a newer request has replaced them.
+ */
+
+importScripts('survey-core.js');
+
+const handleEngineMessage = self.SurveyCore.createEngineMessageHandler(reply => self.postMessage(reply));
+
+self.onmessage = function (event) {
+    handleEngineMessage(event.data);
+};
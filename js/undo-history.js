@@ -0,0 +1,210 @@
+/**
+ * Undo History Module - Undo and Redo for View Changes
+ * Remembers every view (mode, filters, comparison selections, cross-filter and survey wave) so
+ * a change can be undone with the toolbar buttons or Ctrl+Z (Cmd+Z on macOS), and redone with Ctrl+Shift+Z.
+ * When a filter change drops selections that no longer apply, a toast says what was removed
+ * and offers to undo the change.
+ */
+
+// Oldest steps are forgotten beyond this
+const MAX_UNDO_STEPS = 50;
+
+// How long the toast about removed selections stays up
+const UNDO_TOAST_DURATION = 8000;
+
+// Views before and after the one on screen: { state, key } where key is the view's URL hash
+let undoStack = [];
+let redoStack = [];
+
+// View on screen, or null before the first view is recorded
+let currentUndoEntry = null;
+
+// Toast offering to undo a change: { alert, entryBefore } where entryBefore is the view the change
+// started from, or null while no toast is up
+let activeUndoToast = null;
+
+/**
+ * Describe a view as an undo step
+ * @param {Object} state - View from the store
+ * @returns {Object} { state, key }
+ */
+function createUndoEntry(state) {
+    return { state, key: window.UrlStateModule.serializeViewState(state) };
+}
+
+/**
+ * Enable the undo and redo buttons only while there is a step to take
+ */
+function updateUndoButtons() {
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+
+    if (undoButton) undoButton.disabled = undoStack.length === 0;
+    if (redoButton) redoButton.disabled = redoStack.length === 0;
+}
+
+/**
+ * Record a view as a new undo step, unless it is the view already recorded
+ * @param {Object} state - View from the store
+ */
+function recordViewState(state) {
+    const entry = createUndoEntry(state);
+    if (currentUndoEntry && currentUndoEntry.key === entry.key) return;
+
+    if (currentUndoEntry) {
+        undoStack.push(currentUndoEntry);
+        if (undoStack.length > MAX_UNDO_STEPS) {
+            undoStack.shift();
+        }
+    }
+
+    // A new change replaces whatever could have been redone
+    redoStack = [];
+    currentUndoEntry = entry;
+    updateUndoButtons();
+}
+
+/**
+ * Whether the last undo step is still the change the toast offers to undo
+ * @param {Object} toast - Toast { alert, entryBefore }
+ * @returns {boolean}
+ */
+function isUndoToastCurrent(toast) {
+    return undoStack.length > 0 && undoStack[undoStack.length - 1] === toast.entryBefore;
+}
+
+/**
+ * Take the toast down once another change lands, so its Undo cannot take back a different change
+ */
+function dismissStaleUndoToast() {
+    if (activeUndoToast && !isUndoToastCurrent(activeUndoToast)) {
+        activeUndoToast.alert.hide();
+        activeUndoToast = null;
+    }
+}
+
+/**
+ * Follow the view in the store: record changes as undo steps, and take the view an undo or
+ * redo ended up at as the current step
+ * @param {Object} state - Store state
+ * @param {Object} action - Action that changed the view
+ */
+function handleUndoViewChange(state, action) {
+    if (action.source !== 'undo') {
+        recordViewState(state.view);
+        dismissStaleUndoToast();
+        return;
+    }
+
+    // Selections the data no longer has are dropped, so remember the view as it ended up
+    currentUndoEntry = createUndoEntry(state.view);
+    updateUndoButtons();
+    dismissStaleUndoToast();
+}
+
+/**
+ * Switch the dashboard to an undo step
+ * @param {Object} entry - Step { state, key }
+ */
+function applyUndoEntry(entry) {
+    // The stacks already moved, so this also counts as the current step if the view comes out unchanged
+    currentUndoEntry = entry;
+    updateUndoButtons();
+
+    window.UrlStateModule.applyViewState(entry.state);
+    window.StoreModule.dispatchViewChange({ source: 'undo' });
+}
+
+/**
+ * Go back to the view before the last change
+ */
+function undo() {
+    if (undoStack.length === 0) return;
+
+    redoStack.push(currentUndoEntry);
+    applyUndoEntry(undoStack.pop());
+}
+
+/**
+ * Take back the last undo
+ */
+function redo() {
+    if (redoStack.length === 0) return;
+
+    undoStack.push(currentUndoEntry);
+    applyUndoEntry(redoStack.pop());
+}
+
+/**
+ * Show a toast that offers to undo the change being made, e.g. after a filter dropped selections.
+ * Call it before the change is dispatched; the toast goes away when a later change lands.
+ * @param {string} message - What happened
+ */
+function showUndoToast(message) {
+    if (activeUndoToast) {
+        activeUndoToast.alert.hide();
+    }
+    const alert = document.createElement('sl-alert');
+    alert.variant = 'warning';
+    alert.closable = true;
+    alert.duration = UNDO_TOAST_DURATION;
+    alert.className = 'undo-toast';
+
+    // Messages name roles and locations from the data, so build the toast without innerHTML
+    const text = document.createElement('span');
+    text.className = 'undo-toast-text';
+    text.textContent = message;
+
+    const undoButton = document.createElement('sl-button');
+    undoButton.size = 'small';
+    undoButton.textContent = 'Undo';
+    const toast = { alert, entryBefore: currentUndoEntry };
+    undoButton.addEventListener('click', function () {
+        alert.hide();
+        if (isUndoToastCurrent(toast)) {
+            undo();
+        }
+    });
+    alert.addEventListener('sl-after-hide', function () {
+        if (activeUndoToast === toast) {
+            activeUndoToast = null;
+        }
+    });
+    activeUndoToast = toast;
+
+    alert.append(text, undoButton);
+    document.body.appendChild(alert);
+    alert.toast();
+}
+
+/**
+ * Set up the undo and redo buttons
+ */
+function setupUndoHistory() {
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+
+    if (!undoButton || !redoButton) {
+        console.warn('Could not set up undo history - missing elements');
+        return;
+    }
+
+    undoButton.addEventListener('click', function () {
+        undo();
+    });
+    redoButton.addEventListener('click', function () {
+        redo();
+    });
+
+    window.StoreModule.subscribe(['view'], handleUndoViewChange);
+
+    updateUndoButtons();
+}
+
+// Export functions for use in other modules
+window.UndoHistoryModule = {
+    setupUndoHistory,
+    undo,
+    redo,
+    showUndoToast
+};
@@ -0,0 +1,275 @@
+/**
+ * URL State Module - Shareable Links
+ * Keeps the view (comparison mode, filters, comparison selections and survey wave) in the
+ * URL hash, so a link opens the same view and the browser's back and forward buttons
+ * step through earlier views.
+ *
+ * Examples: #mode=baseline&role=compare&roles=welder&location=exclude&locations=chandler-az&answer=compare&question=Q4&answers=score-20
+ *           #mode=baseline&role=compare&roles=fitter&location=all&reference=rest
+ *           #mode=location&level=region&compare=region-carolinas,region-west
+ *           #mode=roles&level=family&compare=family-production,family-leadership
+ *           #mode=cells&compare=welder--chandler-az,welder--florence-sc
+ *           #mode=segments&compare=segment-m1x2k3-ab12cd,segment-m1x2k9-ef34gh
+ *           #mode=baseline&role=all&location=all&search=seguridad%20%22horas%20extra%22&searchIn=Q10
+ *
+ * Segments are defined in each browser, so a link comparing segments only opens them where they exist.
+ */
+
+// The first write replaces the entry the page was opened with instead of adding one
+let hasWrittenUrlState = false;
+
+/**
+ * Get the values of a multi-select as an array
+ * @param {string} selectId - ID of the select
+ * @returns {string[]} Selected option IDs
+ */
+function getMultiSelectValue(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select || !select.value) return [];
+    return Array.isArray(select.value) ? select.value : [select.value];
+}
+
+/**
+ * Get the comparison select used by a comparison mode
+ * @param {string} mode - 'roles', 'location', 'cells' or 'segments'
+ * @returns {string} ID of the select
+ */
+function getComparisonSelectId(mode) {
+    return window.AnalysisModule.getComparisonModeInfo(mode).selectId;
+}
+
+/**
+ * Describe the current view
+ * @returns {Object} { mode, roleMode, locationMode, selectedRoles, selectedLocations,
+ *                     answerMode, answerQuestion, selectedAnswers, reference, level, compare, crossQuestion, crossCategory,
+ *                     searchQuery, searchQuestion, wave }
+ *                    where reference is what baseline mode compares the filtered group against ('company' or 'rest')
+ *                    and level is what the comparison mode compares ('role' or 'family', or 'shop', 'state' or 'region')
+ *                    and null in baseline mode, and searchQuestion is '' when the comment search looks in every question
+ */
+function getViewState() {
+    const mode = window.DrawerModule.getCurrentComparisonMode();
+    const waves = window.CSVLoaderModule.getWaves();
+    const crossFilter = window.CrossFilterModule.getCrossFilter();
+    const commentSearch = window.CommentSearchModule.getCommentSearch();
+
+    return {
+        mode,
+        ...window.FiltersModule.getCurrentFilterState(),
+        level: window.DataModule.getComparisonLevel(mode),
+        compare: mode === 'baseline' ? [] : getMultiSelectValue(getComparisonSelectId(mode)),
+        crossQuestion: crossFilter ? crossFilter.questionId : '',
+        crossCategory: crossFilter ? crossFilter.category : '',
+        searchQuery: commentSearch ? commentSearch.query : '',
+        searchQuestion: commentSearch ? commentSearch.questionId : '',
+        // The wave only needs saving when there is a choice of waves
+        wave: waves.length > 1 ? window.CSVLoaderModule.getSelectedWave() : null
+    };
+}
+
+/**
+ * Write a view as a URL hash
+ * @param {Object} state - View from getViewState()
+ * @returns {string} Hash without the leading '#'
+ */
+function serializeViewState(state) {
+    const params = [['mode', [state.mode]]];
+
+    if (state.mode === 'baseline') {
+        params.push(['role', [state.roleMode]]);
+        if (state.roleMode !== 'all' && state.selectedRoles.length > 0) {
+            params.push(['roles', state.selectedRoles]);
+        }
+        params.push(['location', [state.locationMode]]);
+        if (state.locationMode !== 'all' && state.selectedLocations.length > 0) {
+            params.push(['locations', state.selectedLocations]);
+        }
+        if (state.answerMode === 'compare') {
+            params.push(['answer', ['compare']]);
+            if (state.answerQuestion) {
+                params.push(['question', [state.answerQuestion]]);
+            }
+            if (state.answerQuestion && state.selectedAnswers.length > 0) {
+                params.push(['answers', state.selectedAnswers]);
+            }
+        }
+        if (state.reference === 'rest') {
+            params.push(['reference', ['rest']]);
+        }
+    } else {
+        // Only a level other than the finest needs saving
+        const level = window.DataModule.normalizeComparisonLevel(state.mode, state.level);
+        if (level !== window.DataModule.normalizeComparisonLevel(state.mode, null)) {
+            params.push(['level', [level]]);
+        }
+        if (state.compare.length > 0) {
+            params.push(['compare', state.compare]);
+        }
+    }
+
+    if (state.crossQuestion && state.crossCategory) {
+        params.push(['crossQuestion', [state.crossQuestion]], ['crossCategory', [state.crossCategory]]);
+    }
+
+    if (state.searchQuery) {
+        params.push(['search', [state.searchQuery]]);
+        if (state.searchQuestion) {
+            params.push(['searchIn', [state.searchQuestion]]);
+        }
+    }
+
+    if (state.wave) {
+        params.push(['wave', [state.wave]]);
+    }
+
+    // Lists are comma separated; IDs are slugs, so only wave labels, categories and searches need much escaping
+    return params
+        .map(([key, values]) => `${key}=${values.map(encodeURIComponent).join(',')}`)
+        .join('&');
+}
+
+/**
+ * Read a view from a URL hash
+ * @param {string} hash - Hash with or without the leading '#'
+ * @returns {Object|null} View like getViewState() returns, or null if the hash does not describe one
+ */
+function parseViewState(hash) {
+    const params = {};
+    hash.replace(/^#/, '').split('&').filter(Boolean).forEach(pair => {
+        const [key, value = ''] = pair.split('=');
+        try {
+            params[key] = value.split(',').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            // Ignore values that are not valid escapes
+        }
+    });
+
+    const mode = (params.mode || [])[0];
+    if (mode !== 'baseline' && !window.AnalysisModule.isComparisonMode(mode)) {
+        return null;
+    }
+
+    const filterMode = values => window.UtilsModule.usesFilterSelection((values || [])[0]) ? values[0] : 'all';
+
+    return {
+        mode,
+        roleMode: filterMode(params.role),
+        locationMode: filterMode(params.location),
+        selectedRoles: params.roles || [],
+        selectedLocations: params.locations || [],
+        answerMode: (params.answer || [])[0] === 'compare' ? 'compare' : 'all',
+        answerQuestion: (params.question || [])[0] || '',
+        selectedAnswers: params.answers || [],
+        reference: (params.reference || [])[0] === 'rest' ? 'rest' : 'company',
+        level: window.DataModule.normalizeComparisonLevel(mode, (params.level || [])[0]),
+        compare: params.compare || [],
+        crossQuestion: (params.crossQuestion || [])[0] || '',
+        crossCategory: (params.crossCategory || [])[0] || '',
+        searchQuery: (params.search || [])[0] || '',
+        searchQuestion: (params.searchIn || [])[0] || '',
+        wave: (params.wave || [])[0] || null
+    };
+}
+
+/**
+ * Switch the drawer's controls to a view. Selections the loaded data does not have are dropped.
+ * The caller records the view in the store once it is applied.
+ * @param {Object} state - View from getViewState() or parseViewState()
+ */
+function applyViewState(state) {
+    if (state.wave && window.CSVLoaderModule.getWaves().includes(state.wave)) {
+        window.CSVLoaderModule.setSelectedWave(state.wave);
+        window.WavesModule.populateWaveSelect();
+    }
+
+    window.CrossFilterModule.setCrossFilterForQuestion(state.crossQuestion, state.crossCategory);
+    window.CommentSearchModule.setCommentSearch(state.searchQuery || '', state.searchQuestion || '');
+
+    const modeRadioGroup = document.getElementById('comparison-mode-radio-group');
+    if (modeRadioGroup) {
+        modeRadioGroup.value = state.mode;
+    }
+
+    if (state.mode === 'baseline') {
+        window.DrawerModule.showComparisonMode('baseline');
+        window.FiltersModule.applyFilterState(state);
+    } else {
+        // Comparison modes ignore the baseline filters, as when switching modes by hand
+        window.FiltersModule.applyFilterState({ roleMode: 'all', locationMode: 'all', answerMode: 'all', selectedRoles: [], selectedLocations: [] });
+
+        const select = document.getElementById(getComparisonSelectId(state.mode));
+        const levelRadioGroupId = { roles: 'role-level-radio-group', location: 'location-level-radio-group' }[state.mode];
+        const levelRadioGroup = levelRadioGroupId ? document.getElementById(levelRadioGroupId) : null;
+        if (select && levelRadioGroup) {
+            // The comparison offers e.g. shops, states or regions depending on the level
+            levelRadioGroup.value = window.DataModule.normalizeComparisonLevel(state.mode, state.level);
+            window.DataModule.populateComparisonSelectOptions(select, state.mode);
+        }
+        if (select) {
+            select.value = state.compare.filter(id => select.querySelector(`sl-option[value="${id}"]`));
+        }
+        window.DrawerModule.showComparisonMode(state.mode);
+    }
+}
+
+/**
+ * Apply the view described by the URL hash, if there is one
+ * @param {boolean} dispatchChange - Record the view in the store straight away; on startup it is recorded with the dataset
+ * @returns {boolean} True when the hash described a view and it was applied
+ */
+function restoreFromUrl(dispatchChange = true) {
+    const state = parseViewState(window.location.hash);
+    if (!state || !window.CSVLoaderModule.isCSVDataLoaded()) {
+        return false;
+    }
+
+    applyViewState(state);
+
+    // A view restored from the URL only drops what could not be applied, without adding a history entry
+    if (dispatchChange) {
+        window.StoreModule.dispatchViewChange({ source: 'url', replaceHistory: true });
+    }
+    return true;
+}
+
+/**
+ * Record a view in the URL hash
+ * @param {Object} state - View from getViewState()
+ * @param {boolean} replace - Replace the current history entry instead of adding one
+ */
+function writeUrlState(state, replace = false) {
+    const hash = serializeViewState(state);
+    if (window.location.hash.replace(/^#/, '') === hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}#${hash}`;
+    if (replace || !hasWrittenUrlState) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    hasWrittenUrlState = true;
+}
+
+/**
+ * Keep the URL hash on the view in the store, and follow back/forward navigation and links
+ * edited in the address bar
+ */
+function setupUrlState() {
+    window.StoreModule.subscribe(['view'], function (state, action) {
+        writeUrlState(state.view, !!action.replaceHistory);
+    });
+
+    window.addEventListener('popstate', function () {
+        restoreFromUrl();
+    });
+}
+
+// Export functions for use in other modules
+window.UrlStateModule = {
+    getViewState,
+    applyViewState,
+    serializeViewState,
+    parseViewState,
+    restoreFromUrl,
+    setupUrlState
+};
@@ -26,9 +26,7 @@ function waitForShoelace() {
             customElements.whenDefined('sl-radio-button'),
             customElements.whenDefined('sl-option')
         ]).then(() => {
-            setTimeout(() => {
-                resolve();
-            }, 200);
+            resolve();
         }).catch(error => {
             reject(error);
         });
@@ -70,36 +68,130 @@ function convertLocationIdsToCsvValues(locationIds) {
     });
 }
 
+/**
+ * Convert the answer filter's selection to the column and values to match
+ * @param {string} questionId - Question ID
+ * @param {string[]} answerIds - Selected answer option IDs
+ * @returns {Object|null} { questionId, questionText, column, values, labels } or null when nothing is selected
+ */
+function convertAnswerIdsToCsvFilter(questionId, answerIds) {
+    const { question, column, options } = window.DataModule.getAnswerFilterOptions(questionId);
+    const selectedOptions = options.filter(option => answerIds.includes(option.value));
+
+    if (!question || selectedOptions.length === 0) {
+        return null;
+    }
+
+    return {
+        questionId,
+        questionText: question.text,
+        column,
+        values: selectedOptions.map(option => option.csvValue),
+        labels: selectedOptions.map(option => option.text)
+    };
+}
+
+/**
+ * Check whether a role or location filter mode uses the picks in its select
+ * @param {string} mode - 'all', 'compare' (only the picks) or 'exclude' (everything except the picks)
+ * @returns {boolean} True for 'compare' and 'exclude'
+ */
+function usesFilterSelection(mode) {
+    return mode === 'compare' || mode === 'exclude';
+}
+
+/**
+ * Turn the role and location filters into the matching part of a survey worker filter spec
+ * @param {Object} filters - Filters from getCurrentFiltersForCsv()
+ * @returns {Object} { roles, locations, excludeRoles, excludeLocations } with CSV values
+ */
+function getRoleLocationSpec(filters) {
+    return {
+        roles: filters.roleMode === 'exclude' ? [] : filters.selectedRoles,
+        locations: filters.locationMode === 'exclude' ? [] : filters.selectedLocations,
+        excludeRoles: filters.roleMode === 'exclude' ? filters.selectedRoles : [],
+        excludeLocations: filters.locationMode === 'exclude' ? filters.selectedLocations : []
+    };
+}
+
 /**
  * Get current filter values in CSV format
- * @returns {Object} Current filter values mapped to CSV format
+ * @returns {Object} Current filter values mapped to CSV format.
+ *                   selectedRoles and selectedLocations are the picks of a 'compare' or 'exclude' filter;
+ *                   roleMode and locationMode tell which.
+ *                   selectedAnswers is the answer filter from convertAnswerIdsToCsvFilter, or null.
  */
 function getCurrentFiltersForCsv() {
     const roleRadioGroup = document.getElementById('role-radio-group');
     const locationRadioGroup = document.getElementById('location-radio-group');
+    const answerRadioGroup = document.getElementById('answer-radio-group');
     const roleSelect = document.getElementById('role-select');
     const locationSelect = document.getElementById('location-select');
+    const questionSelect = document.getElementById('answer-question-select');
+    const answerSelect = document.getElementById('answer-value-select');
 
     const filters = {
         roleMode: roleRadioGroup ? roleRadioGroup.value : 'all',
         locationMode: locationRadioGroup ? locationRadioGroup.value : 'all',
+        answerMode: answerRadioGroup ? answerRadioGroup.value : 'all',
         selectedRoles: [],
-        selectedLocations: []
+        selectedLocations: [],
+        selectedAnswers: null
     };
 
     // Convert role selections to CSV format
-    if (filters.roleMode === 'compare' && roleSelect && roleSelect.value) {
+    if (usesFilterSelection(filters.roleMode) && roleSelect && roleSelect.value) {
         filters.selectedRoles = convertRoleIdsToCsvValues(Array.isArray(roleSelect.value) ? roleSelect.value : [roleSelect.value]);
     }
 
     // Convert location selections to CSV format
-    if (filters.locationMode === 'compare' && locationSelect && locationSelect.value) {
+    if (usesFilterSelection(filters.locationMode) && locationSelect && locationSelect.value) {
         filters.selectedLocations = convertLocationIdsToCsvValues(Array.isArray(locationSelect.value) ? locationSelect.value : [locationSelect.value]);
     }
 
+    // Convert the answer filter to the column and values to match
+    if (filters.answerMode === 'compare' && questionSelect && questionSelect.value && answerSelect && answerSelect.value) {
+        filters.selectedAnswers = convertAnswerIdsToCsvFilter(questionSelect.value,
+            Array.isArray(answerSelect.value) ? answerSelect.value : [answerSelect.value]);
+    }
+
     return filters;
 }
 
+/**
+ * Escape text for safe use inside HTML markup and attribute values
+ * @param {string} text - Text that may come from the data
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Describe the change in a score from the previous survey wave
+ * @param {number} current - Score in the selected wave
+ * @param {number|null} previous - Score in the previous wave, or null if unavailable
+ * @returns {Object|null} { value, direction, arrow } or null when there is nothing to compare
+ */
+function getWaveDelta(current, previous) {
+    if (previous === null || previous === undefined || isNaN(previous)) {
+        return null;
+    }
+
+    const value = Math.round((current - previous) * 10) / 10;
+    if (value > 0) {
+        return { value, direction: 'up', arrow: '▲' };
+    } else if (value < 0) {
+        return { value, direction: 'down', arrow: '▼' };
+    }
+    return { value, direction: 'flat', arrow: '–' };
+}
+
 /**
  * Log current filter state for debugging
  */
@@ -114,6 +206,11 @@ window.UtilsModule = {
     waitForShoelace,
     convertRoleIdsToCsvValues,
     convertLocationIdsToCsvValues,
+    convertAnswerIdsToCsvFilter,
     getCurrentFiltersForCsv,
+    usesFilterSelection,
+    getRoleLocationSpec,
+    getWaveDelta,
+    escapeHTML,
     logFilterState
 }; 
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Validation Module - Dataset Consistency Checks
+ * Reports the checks the survey worker runs after each load: unknown roles or locations, out-of-scale
+ * scores, answer text that disagrees with its numeric code, duplicate rows and empty responses
+ */
+
+// Issues listed per check before the rest are summarized as a count
+const MAX_LISTED_ISSUES = 25;
+
+let validationReport = null;
+
+/**
+ * Titles of the checks the survey worker runs on each dataset
+ */
+const VALIDATION_CHECK_TITLES = {
+    'unknown-demographics': 'Unknown roles or locations',
+    'score-range': 'Scores outside the expected scale',
+    'answer-codes': 'Answer text that does not match its score',
+    'duplicates': 'Duplicate rows',
+    'empty-responses': 'Respondents with no answers'
+};
+
+/**
+ * Render the checks the survey worker ran on the loaded dataset
+ * @param {Array} checks - Checks { id, issues } from the worker's load result
+ * @returns {Object} Report { checks: Array<{ id, title, issues }>, issueCount }
+ */
+function showValidationReport(checks) {
+    const titledChecks = checks.map(check => ({ ...check, title: VALIDATION_CHECK_TITLES[check.id] || check.id }));
+
+    validationReport = {
+        checks: titledChecks,
+        issueCount: titledChecks.reduce((sum, check) => sum + check.issues.length, 0)
+    };
+
+    updateValidationReportDisplay();
+
+    return validationReport;
+}
+
+/**
+ * Get the report from the most recent validation run
+ * @returns {Object|null} Validation report or null if nothing has been validated
+ */
+function getValidationReport() {
+    return validationReport;
+}
+
+/**
+ * Render the validation report panel
+ */
+function updateValidationReportDisplay() {
+    const container = document.getElementById('validation-report');
+    if (!container) return;
+
+    if (!validationReport) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const { checks, issueCount } = validationReport;
+    const failedChecks = checks.filter(check => check.issues.length > 0);
+    const summary = issueCount === 0
+        ? 'Data validation passed: no issues found.'
+        : `Data validation: ${issueCount} ${issueCount === 1 ? 'issue' : 'issues'} in ${failedChecks.length} of ${checks.length} checks.`;
+
+    const checksHTML = checks.map(check => `
+        <li class="validation-check ${check.issues.length > 0 ? 'validation-check-failed' : 'validation-check-passed'}" data-check-id="${check.id}">
+            <div class="validation-check-header">
+                <span class="validation-check-title">${check.title}</span>
+                <sl-badge variant="${check.issues.length > 0 ? 'warning' : 'success'}" pill>${check.issues.length}</sl-badge>
+            </div>
+            <ul class="validation-issue-list"></ul>
+        </li>
+    `).join('');
+
+    container.innerHTML = `
+        <sl-details summary="${summary}" class="${issueCount === 0 ? 'validation-passed' : 'validation-failed'}">
+            <ul class="validation-check-list">${checksHTML}</ul>
+        </sl-details>
+    `;
+
+    // Issue details quote values from the file, so set them as text rather than HTML
+    checks.forEach(check => {
+        const list = container.querySelector(`[data-check-id="${check.id}"] .validation-issue-list`);
+        if (!list) return;
+
+        check.issues.slice(0, MAX_LISTED_ISSUES).forEach(issue => {
+            const item = document.createElement('li');
+            item.className = 'validation-issue';
+
+            const location = document.createElement('span');
+            location.className = 'validation-issue-location';
+            location.textContent = issue.location;
+            item.appendChild(location);
+
+            const detail = document.createElement('span');
+            detail.textContent = issue.detail;
+            item.appendChild(detail);
+
+            list.appendChild(item);
+        });
+
+        if (check.issues.length > MAX_LISTED_ISSUES) {
+            const more = document.createElement('li');
+            more.className = 'validation-issue validation-issue-more';
+            more.textContent = `…and ${check.issues.length - MAX_LISTED_ISSUES} more`;
+            list.appendChild(more);
+        }
+    });
+
+    container.classList.remove('hidden');
+}
+
+// Export functions for use in other modules
+window.ValidationModule = {
+    showValidationReport,
+    getValidationReport
+};
@@ -0,0 +1,78 @@
+/**
+ * Waves Module - Survey Wave Selection
+ * Lets users choose which survey wave the dashboard shows when more than one is loaded
+ */
+
+/**
+ * Populate the wave select from the loaded data and show it when there is a choice to make
+ */
+function populateWaveSelect() {
+    const container = document.getElementById('wave-select-container');
+    const waveSelect = document.getElementById('wave-select');
+    if (!container || !waveSelect || !window.CSVLoaderModule) return;
+
+    const waves = window.CSVLoaderModule.getWaves();
+    const selectedWave = window.CSVLoaderModule.getSelectedWave();
+
+    // Wave labels come from the data, so build options without innerHTML
+    waveSelect.innerHTML = '';
+    waves.forEach((wave, index) => {
+        const option = document.createElement('sl-option');
+        option.value = `wave-${index}`;
+        option.dataset.wave = wave;
+        option.textContent = wave;
+        waveSelect.appendChild(option);
+    });
+    waveSelect.value = `wave-${waves.indexOf(selectedWave)}`;
+
+    if (waves.length > 1) {
+        container.classList.remove('hidden');
+    } else {
+        container.classList.add('hidden');
+    }
+
+    updateWaveTitle();
+}
+
+/**
+ * Show the selected wave as the page subtitle
+ */
+function updateWaveTitle() {
+    const title = document.getElementById('survey-wave-title');
+    const selectedWave = window.CSVLoaderModule.getSelectedWave();
+
+    if (title && selectedWave) {
+        title.textContent = selectedWave;
+    }
+}
+
+/**
+ * Set up the wave select change handler
+ */
+function setupWaveSelect() {
+    const waveSelect = document.getElementById('wave-select');
+    if (!waveSelect) return;
+
+    waveSelect.addEventListener('sl-change', function () {
+        const option = waveSelect.querySelector(`sl-option[value="${waveSelect.value}"]`);
+        if (!option) return;
+
+        window.CSVLoaderModule.setSelectedWave(option.dataset.wave);
+        updateWaveTitle();
+
+        window.StoreModule.dispatchViewChange();
+    });
+
+    // Keep the select's dropdown from toggling the drawer
+    ['sl-show', 'sl-hide', 'sl-after-show', 'sl-after-hide'].forEach(eventName => {
+        waveSelect.addEventListener(eventName, function (e) {
+            e.stopPropagation();
+        });
+    });
+}
+
+// Export functions for use in other modules
+window.WavesModule = {
+    populateWaveSelect,
+    setupWaveSelect
+};
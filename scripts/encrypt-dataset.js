@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Encrypt a survey CSV export for publishing.
+ *
+ * Usage: node scripts/encrypt-dataset.js <input.csv> [output]
+ *
+ * Writes <input.csv>.enc unless an output path is given. The passphrase is read from the
+ * DATASET_PASSPHRASE environment variable, or asked for twice on the terminal.
+ * Point "dataset.path" in Data/survey-schema.json at the encrypted file to publish it;
+ * the dashboard asks readers for the passphrase and decrypts it in their browser.
+ *
+ * Uses the page's own js/dataset-crypto.js, so files it writes always match what the
+ * dashboard reads. Needs Node.js 16 or later and no packages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+/**
+ * Load DatasetCryptoModule from the browser script
+ * @returns {Object} The module's exports
+ */
+function loadDatasetCrypto() {
+    const context = { window: {}, crypto: webcrypto, TextEncoder, TextDecoder, btoa, atob };
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'dataset-crypto.js'), 'utf8');
+    vm.runInNewContext(source, context, { filename: 'dataset-crypto.js' });
+    return context.window.DatasetCryptoModule;
+}
+
+/**
+ * Ask a question on the terminal without echoing the answer
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string>} Promise that resolves to the answer
+ */
+function askHidden(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+        // Show the prompt but nothing that is typed after it
+        rl._writeToOutput = text => {
+            if (text.startsWith(question)) process.stdout.write(question);
+        };
+
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Get the passphrase from the environment or the terminal
+ * @returns {Promise<string>} Promise that resolves to the passphrase
+ */
+async function getPassphrase() {
+    if (process.env.DATASET_PASSPHRASE) {
+        return process.env.DATASET_PASSPHRASE;
+    }
+
+    if (!process.stdin.isTTY) {
+        throw new Error('Set DATASET_PASSPHRASE or run in a terminal to enter the passphrase');
+    }
+
+    const passphrase = await askHidden('Passphrase: ');
+    const confirmation = await askHidden('Repeat passphrase: ');
+
+    if (passphrase !== confirmation) {
+        throw new Error('The passphrases do not match');
+    }
+
+    return passphrase;
+}
+
+async function main() {
+    const [inputPath, outputArg] = process.argv.slice(2);
+
+    if (!inputPath) {
+        console.error('Usage: node scripts/encrypt-dataset.js <input.csv> [output]');
+        process.exit(1);
+    }
+
+    const outputPath = outputArg || `${inputPath}.enc`;
+
+    // Drop any byte order mark, as the browser does when it reads a plain CSV
+    const csvText = fs.readFileSync(inputPath, 'utf8').replace(/^\uFEFF/, '');
+    const datasetCrypto = loadDatasetCrypto();
+
+    if (datasetCrypto.isEncryptedDataset(csvText)) {
+        throw new Error(`${inputPath} is already encrypted`);
+    }
+
+    const passphrase = await getPassphrase();
+    const encrypted = await datasetCrypto.encryptDataset(csvText, passphrase);
+
+    // Check the file opens before anyone publishes it
+    if (await datasetCrypto.decryptDataset(encrypted, passphrase) !== csvText) {
+        throw new Error('The encrypted file did not decrypt back to the original');
+    }
+
+    fs.writeFileSync(outputPath, encrypted);
+    console.log(`Encrypted ${inputPath} -> ${outputPath}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
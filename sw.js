@@ -0,0 +1,199 @@
+/**
+ * Service Worker - Offline Support
+ * Precaches the app shell, the vendored Chart.js and Shoelace files and the bundled
+ * dataset so the dashboard works in shop offices with poor connectivity and on
+ * presentation laptops with none.
+ *
+ * Bump CACHE_VERSION when the list of precached files changes.
+ */
+
+const CACHE_VERSION = 'v12';
+const APP_CACHE = `steelfab-survey-app-${CACHE_VERSION}`;
+const DATA_CACHE = `steelfab-survey-data-${CACHE_VERSION}`;
+
+// Page, styles, scripts and vendored library entry points
+const APP_SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'favicon-16x16.png',
+    'favicon-32x32.png',
+    'apple-touch-icon.png',
+    'Assets/steel-fab2.png',
+    'js/survey-core.js',
+    'js/survey-worker.js',
+    'js/survey-worker-client.js',
+    'js/schema.js',
+    'js/data.js',
+    'js/role-families.js',
+    'js/location-hierarchy.js',
+    'js/dataset-cache.js',
+    'js/dataset-crypto.js',
+    'js/dataset-unlock.js',
+    'js/csv-loader.js',
+    'js/validation.js',
+    'js/dataset-picker.js',
+    'js/waves.js',
+    'js/store.js',
+    'js/kpis.js',
+    'js/grouped-averages.js',
+    'js/charts.js',
+    'js/cross-filter.js',
+    'js/comment-search.js',
+    'js/analysis.js',
+    'js/drawer.js',
+    'js/filters.js',
+    'js/url-state.js',
+    'js/saved-views.js',
+    'js/segments.js',
+    'js/undo-history.js',
+    'js/scroll-effects.js',
+    'js/utils.js',
+    'js/app.js',
+    'vendor/chart.js/chart.umd.min.js',
+    'vendor/shoelace/themes/light.css',
+    'vendor/shoelace/shoelace.js'
+];
+
+// Survey schema and display names. The bundled responses are cached from the schema's
+// dataset.path, so an encrypted dataset is cached without the plain CSV it was made from.
+const DATA_FILES = [
+    'Data/survey-schema.json',
+    'Data/display-names.json'
+];
+
+// Dataset cached when the survey schema does not name one, as in js/csv-loader.js
+const DEFAULT_DATASET_PATH = 'Data/SteelFab_Shop_Clean.csv';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(APP_CACHE).then(cache => cache.addAll(APP_SHELL_FILES)),
+            precacheData()
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Remove caches left by earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('steelfab-survey-') && key !== APP_CACHE && key !== DATA_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    // Shoelace loads its components as modules, so the page reports which files it fetched
+    // before this worker was in control and they are cached for the next offline visit
+    if (event.data && event.data.type === 'cache-urls') {
+        event.waitUntil(caches.open(APP_CACHE).then(cache => Promise.all(
+            event.data.urls.map(url => cache.match(url).then(cached => cached || cache.add(url).catch(() => { })))
+        )));
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    const scopePath = new URL(self.registration.scope).pathname;
+
+    if (url.pathname.startsWith(`${scopePath}Data/`)) {
+        // Always prefer fresh survey data, falling back to the last copy when offline
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (url.pathname.startsWith(`${scopePath}vendor/`)) {
+        // Vendored libraries are pinned to a version and never change in place
+        event.respondWith(cacheFirst(request, APP_CACHE));
+    } else {
+        // Serve the app shell immediately and pick up changes on the next visit
+        event.respondWith(staleWhileRevalidate(request, APP_CACHE));
+    }
+});
+
+/**
+ * Cache the data files and the bundled dataset the survey schema names
+ * @returns {Promise<void>} Resolves once every file is cached
+ */
+async function precacheData() {
+    const cache = await caches.open(DATA_CACHE);
+    await cache.addAll(DATA_FILES);
+
+    const schemaResponse = await cache.match('Data/survey-schema.json');
+    const schema = await schemaResponse.json();
+    const datasetPath = (schema.dataset && schema.dataset.path) || DEFAULT_DATASET_PATH;
+    await cache.add(datasetPath);
+}
+
+/**
+ * Fetch from the network and store the response, falling back to the cache when offline
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to read and update
+ * @returns {Promise<Response>} Response from the network or cache
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache, fetching and storing the response on a miss
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to read and update
+ * @returns {Promise<Response>} Response from the cache or network
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Answer from the cache straight away while refreshing the cached copy in the background
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to read and update
+ * @returns {Promise<Response>} Response from the cache, or the network on a miss
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+            return cached;
+        });
+
+    return cached || refresh;
+}